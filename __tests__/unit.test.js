@@ -1,17 +1,84 @@
-const { sanitizeMessages, calculateCost, hashPassword } = require('../server');
+// The helpers under test never reach the database; a stub client lets
+// server.js load without SUPABASE_URL
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => ({}),
+}));
+
+const {
+  sanitizeMessages,
+  calculateCost,
+  hashPassword,
+  verifyPassword,
+  estimateTokens,
+  signToken,
+  verifyToken,
+  estimateMaxCost,
+  withPromptCaching,
+  createMailTransport,
+  parseRateLimit,
+  createMemoryRateLimitStore,
+  parseDateRange,
+  periodKey,
+  aggregateUsage,
+  toCsv,
+  periodBounds,
+  budgetWarnings,
+  parseChatMessages,
+  extractHtml,
+  validateHtml,
+  diffLines,
+  unifiedDiff,
+  parseEdits,
+  applyEdits,
+  renderPrompt,
+  parsePresetValues,
+  validateImages,
+  createZip,
+  readZip,
+  parseChatArchive,
+  sweepConnections,
+  parsePointsScheme,
+  resolvePoints,
+  computeStandings,
+  parseTieBreakers,
+  rankStandings,
+  roundRobinRounds,
+} = require('../server');
 
 // ==================== UNIT TESTS ====================
 
 describe('hashPassword', () => {
-  test('returns consistent SHA-256 hash', () => {
-    const hash1 = hashPassword('test123');
-    const hash2 = hashPassword('test123');
-    expect(hash1).toBe(hash2);
-    expect(hash1).toHaveLength(64);
+  test('produces a salted scrypt hash with its parameters', async () => {
+    const hash1 = await hashPassword('test123');
+    const hash2 = await hashPassword('test123');
+    expect(hash1).toMatch(/^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+    expect(hash1).not.toBe(hash2);
+  });
+});
+
+describe('verifyPassword', () => {
+  test('accepts the right password and rejects the wrong one', async () => {
+    const hash = await hashPassword('test123');
+    expect(await verifyPassword('test123', hash)).toEqual({ valid: true, needsRehash: false });
+    expect((await verifyPassword('wrong', hash)).valid).toBe(false);
   });
 
-  test('different passwords produce different hashes', () => {
-    expect(hashPassword('abc')).not.toBe(hashPassword('xyz'));
+  test('accepts legacy SHA-256 hashes and flags them for rehash', async () => {
+    const legacy = require('crypto').createHash('sha256').update('test123').digest('hex');
+    expect(await verifyPassword('test123', legacy)).toEqual({ valid: true, needsRehash: true });
+    expect(await verifyPassword('wrong', legacy)).toEqual({ valid: false, needsRehash: false });
+  });
+
+  test('flags hashes made with outdated parameters', async () => {
+    const salt = Buffer.from('0123456789abcdef');
+    const key = require('crypto').scryptSync('test123', salt, 64, { N: 1024, r: 8, p: 1 });
+    const old = `scrypt$1024$8$1$${salt.toString('base64')}$${key.toString('base64')}`;
+    expect(await verifyPassword('test123', old)).toEqual({ valid: true, needsRehash: true });
+  });
+
+  test('rejects missing or unknown hashes', async () => {
+    expect((await verifyPassword('test123', undefined)).valid).toBe(false);
+    expect((await verifyPassword('test123', 'bcrypt$whatever')).valid).toBe(false);
   });
 });
 
@@ -50,6 +117,13 @@ describe('calculateCost', () => {
     expect(result.chargedEUR).toBe(0);
   });
 
+  test('uses an explicit price snapshot over the catalog', () => {
+    const snapshot = { label: 'Haiku 4.5', input: 2.0, output: 10.0 };
+    const current = calculateCost(1_000_000, 0, 'claude-haiku-4-5-20251001', settings);
+    const locked = calculateCost(1_000_000, 0, 'claude-haiku-4-5-20251001', settings, snapshot);
+    expect(locked.baseCostUSD).toBeCloseTo(current.baseCostUSD * 2, 5);
+  });
+
   test('uses default settings when missing', () => {
     const result = calculateCost(1_000_000, 0, 'claude-haiku-4-5-20251001', {});
     expect(result.baseCostEUR).toBeGreaterThan(0);
@@ -57,6 +131,69 @@ describe('calculateCost', () => {
   });
 });
 
+describe('calculateCost with prompt caching', () => {
+  const settings = { profit_margin: 0, eur_rate: 1 };
+
+  test('prices cache writes at 1.25x and cache reads at 0.1x input by default', () => {
+    const write = calculateCost(0, 0, 'claude-haiku-4-5-20251001', settings, undefined, { write: 1_000_000 });
+    const read = calculateCost(0, 0, 'claude-haiku-4-5-20251001', settings, undefined, { read: 1_000_000 });
+    expect(write.baseCostUSD).toBeCloseTo(1.25, 10);
+    expect(read.baseCostUSD).toBeCloseTo(0.1, 10);
+  });
+
+  test('uses explicit cache prices from the catalog', () => {
+    const pricing = { label: 'X', input: 2.0, output: 10.0, cacheWrite: 3.0, cacheRead: 0.5 };
+    const result = calculateCost(1_000_000, 0, 'x', settings, pricing, { write: 1_000_000, read: 2_000_000 });
+    expect(result.baseCostUSD).toBeCloseTo(2 + 3 + 1, 10);
+  });
+});
+
+describe('withPromptCaching', () => {
+  test('marks the system prompt and the last user turn as cacheable', () => {
+    const params = withPromptCaching({
+      model: 'm',
+      system: 'Be Sparkk',
+      messages: [
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: '<html></html>' },
+        { role: 'user', content: 'second' },
+        { role: 'assistant', content: '<html>' },
+      ],
+    });
+    const cache = { type: 'ephemeral' };
+    expect(params.system).toEqual([{ type: 'text', text: 'Be Sparkk', cache_control: cache }]);
+    expect(params.messages[0].content).toBe('first');
+    expect(params.messages[2].content).toEqual([{ type: 'text', text: 'second', cache_control: cache }]);
+    expect(params.messages[3].content).toBe('<html>');
+  });
+});
+
+describe('estimateMaxCost', () => {
+  const settings = { profit_margin: 30, eur_rate: 0.92 };
+
+  test('prices the full output budget on top of the input written to the cache', () => {
+    const worstCase = estimateMaxCost(1000, 'claude-haiku-4-5-20251001', settings);
+    const typical = calculateCost(1000, 500, 'claude-haiku-4-5-20251001', settings).chargedEUR;
+    expect(worstCase).toBeGreaterThan(typical);
+    expect(worstCase).toBeCloseTo(
+      calculateCost(0, 16000, 'claude-haiku-4-5-20251001', settings, undefined, { write: 1000 }).chargedEUR,
+      10
+    );
+  });
+
+  test('uses the model max_tokens as the output budget', () => {
+    const pricing = { label: 'Small', input: 1.0, output: 5.0, maxTokens: 1000 };
+    const small = estimateMaxCost(0, 'claude-haiku-4-5-20251001', settings, pricing);
+    expect(small).toBeCloseTo(calculateCost(0, 1000, 'claude-haiku-4-5-20251001', settings, pricing).chargedEUR, 10);
+  });
+
+  test('scales with model price', () => {
+    const haiku = estimateMaxCost(1000, 'claude-haiku-4-5-20251001', settings);
+    const opus = estimateMaxCost(1000, 'claude-opus-4-20250514', settings);
+    expect(opus).toBeGreaterThan(haiku);
+  });
+});
+
 describe('sanitizeMessages', () => {
   test('passes through valid alternating messages', () => {
     const msgs = [
@@ -139,4 +276,575 @@ describe('sanitizeMessages', () => {
     // 'system' gets normalized to 'user', then merged with next 'user'
     expect(result[0].role).toBe('user');
   });
+
+  test('keeps image blocks on user turns, images before text', () => {
+    const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } };
+    const result = sanitizeMessages([
+      { role: 'user', content: [{ type: 'text', text: 'build this' }, image] },
+    ]);
+    expect(result[0].content).toEqual([image, { type: 'text', text: 'build this' }]);
+  });
+
+  test('merges a text turn into a following image turn', () => {
+    const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } };
+    const result = sanitizeMessages([
+      { role: 'user', content: 'Hello' },
+      { role: 'user', content: [image, { type: 'text', text: 'like this' }] },
+    ]);
+    expect(result).toHaveLength(1);
+    expect(result[0].content).toEqual([image, { type: 'text', text: 'Hello\n\nlike this' }]);
+  });
+});
+
+describe('estimateTokens', () => {
+  test('approximates four characters per token', () => {
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  test('handles empty input', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(undefined)).toBe(0);
+  });
+});
+
+describe('signToken / verifyToken', () => {
+  test('round-trips the payload', () => {
+    const token = signToken({ sub: 'user-1', sid: 'session-1' }, 60);
+    const payload = verifyToken(token);
+    expect(payload.sub).toBe('user-1');
+    expect(payload.sid).toBe('session-1');
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test('rejects expired tokens', () => {
+    const token = signToken({ sub: 'user-1' }, -1);
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  test('rejects tampered signatures', () => {
+    const token = signToken({ sub: 'user-1' }, 60);
+    expect(verifyToken(token.slice(0, -2) + 'xx')).toBeNull();
+  });
+
+  test('rejects malformed input', () => {
+    expect(verifyToken('not-a-token')).toBeNull();
+    expect(verifyToken(undefined)).toBeNull();
+  });
+});
+
+describe('createMailTransport', () => {
+  test('file transport appends one JSON line per mail', async () => {
+    const os = require('os');
+    const fs = require('fs');
+    const path = require('path');
+    const file = path.join(os.tmpdir(), `sparkk-mail-${process.pid}.log`);
+    process.env.MAIL_FILE = file;
+
+    try {
+      const transport = createMailTransport('file');
+      await transport.send({ to: 'a@example.com', subject: 'One', text: 'first' });
+      await transport.send({ to: 'b@example.com', subject: 'Two', text: 'second' });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+      expect(lines.map(l => l.to)).toEqual(['a@example.com', 'b@example.com']);
+      expect(lines[0].sent_at).toBeDefined();
+    } finally {
+      fs.rmSync(file, { force: true });
+      delete process.env.MAIL_FILE;
+    }
+  });
+});
+
+describe('parseRateLimit', () => {
+  test('parses capacity/seconds', () => {
+    expect(parseRateLimit('10/60', '1/1')).toEqual({ capacity: 10, seconds: 60, refillPerSecond: 10 / 60 });
+  });
+
+  test('falls back on missing or malformed values', () => {
+    expect(parseRateLimit(undefined, '5/900').capacity).toBe(5);
+    expect(parseRateLimit('lots', '5/900').seconds).toBe(900);
+  });
+});
+
+describe('createMemoryRateLimitStore', () => {
+  const limit = { capacity: 2, seconds: 10, refillPerSecond: 0.2 };
+
+  test('allows a burst up to capacity, then reports Retry-After', async () => {
+    let time = 0;
+    const store = createMemoryRateLimitStore({ now: () => time });
+    expect((await store.take('k', limit)).allowed).toBe(true);
+    expect((await store.take('k', limit)).allowed).toBe(true);
+
+    const denied = await store.take('k', limit);
+    expect(denied.allowed).toBe(false);
+    expect(denied.retryAfter).toBe(5);
+  });
+
+  test('refills over time', async () => {
+    let time = 0;
+    const store = createMemoryRateLimitStore({ now: () => time });
+    await store.take('k', limit);
+    await store.take('k', limit);
+
+    time = 5000;
+    expect((await store.take('k', limit)).allowed).toBe(true);
+    expect((await store.take('k', limit)).allowed).toBe(false);
+  });
+
+  test('keys are independent and reset clears a bucket', async () => {
+    const store = createMemoryRateLimitStore({ now: () => 0 });
+    await store.take('a', limit, 2);
+    expect((await store.take('b', limit)).allowed).toBe(true);
+    expect((await store.peek('a', limit)).remaining).toBe(0);
+
+    await store.reset('a');
+    expect((await store.peek('a', limit)).remaining).toBe(2);
+  });
+});
+
+describe('parseDateRange', () => {
+  test('a date-only `to` includes the whole day', () => {
+    expect(parseDateRange({ from: '2024-03-01', to: '2024-03-31' })).toEqual({
+      from: '2024-03-01T00:00:00.000Z',
+      to: '2024-04-01T00:00:00.000Z',
+    });
+  });
+
+  test('defaults to the last 30 days', () => {
+    const { from, to } = parseDateRange({});
+    expect(new Date(to) - new Date(from)).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  test('rejects invalid or reversed ranges', () => {
+    expect(parseDateRange({ from: 'soon' }).error).toBeDefined();
+    expect(parseDateRange({ from: '2024-03-02', to: '2024-03-01T00:00:00Z' }).error).toBeDefined();
+  });
+});
+
+describe('periodKey', () => {
+  test('buckets by day, ISO week and month', () => {
+    const sunday = '2024-03-10T23:00:00.000Z';
+    expect(periodKey(sunday, 'day')).toBe('2024-03-10');
+    expect(periodKey(sunday, 'week')).toBe('2024-03-04');
+    expect(periodKey('2024-03-11T00:00:00.000Z', 'week')).toBe('2024-03-11');
+    expect(periodKey(sunday, 'month')).toBe('2024-03');
+  });
+});
+
+describe('aggregateUsage', () => {
+  const rows = [
+    { user_id: 'u1', model: 'a', input_tokens: 10, output_tokens: 20, base_cost_eur: '1.0', charged_eur: '1.3', created_at: '2024-03-02T00:00:00Z' },
+    { user_id: 'u2', model: 'b', input_tokens: 5, output_tokens: 5, base_cost_eur: '2.0', charged_eur: '2.6', created_at: '2024-03-01T00:00:00Z' },
+    { user_id: 'u1', model: 'b', input_tokens: 1, output_tokens: 1, base_cost_eur: '0.5', charged_eur: '0.65', created_at: '2024-03-01T12:00:00Z' },
+  ];
+
+  test('sums tokens, spend and margin', () => {
+    const { totals } = aggregateUsage(rows, 'user');
+    expect(totals.requests).toBe(3);
+    expect(totals.input_tokens).toBe(16);
+    expect(totals.charged_eur).toBeCloseTo(4.55, 10);
+    expect(totals.margin_eur).toBeCloseTo(1.05, 10);
+  });
+
+  test('orders groups by spend, periods chronologically', () => {
+    expect(aggregateUsage(rows, 'model').rows.map(r => r.key)).toEqual(['b', 'a']);
+    expect(aggregateUsage(rows, 'day').rows.map(r => r.key)).toEqual(['2024-03-01', '2024-03-02']);
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes commas, quotes and newlines', () => {
+    const csv = toCsv([{ a: 'x,y', b: 'say "hi"', c: null }], ['a', 'b', 'c']);
+    expect(csv).toBe('a,b,c\n"x,y","say ""hi""",\n');
+  });
+
+  test('neutralises cells a spreadsheet would run as formulas', () => {
+    const csv = toCsv([
+      { a: '=HYPERLINK("http://evil","x")', b: '+1', c: '-2' },
+      { a: '@SUM(A1)', b: '\tx', c: -0.5 },
+    ], ['a', 'b', 'c']);
+    expect(csv).toBe(`a,b,c\n"'=HYPERLINK(""http://evil"",""x"")",'+1,'-2\n'@SUM(A1),'\tx,-0.5\n`);
+  });
+});
+
+describe('periodBounds', () => {
+  test('day and month windows in UTC', () => {
+    const now = new Date('2024-02-29T15:30:00Z');
+    expect(periodBounds('day', now)).toEqual({ start: '2024-02-29T00:00:00.000Z', end: '2024-03-01T00:00:00.000Z' });
+    expect(periodBounds('month', now)).toEqual({ start: '2024-02-01T00:00:00.000Z', end: '2024-03-01T00:00:00.000Z' });
+  });
+});
+
+describe('budgetWarnings', () => {
+  const entry = (percent, limit = 10) => ({ period: 'month', model: '*', limit_eur: limit, spent_eur: limit * percent / 100, percent });
+
+  test('reports the highest threshold crossed', () => {
+    const warnings = budgetWarnings([entry(96), entry(50)], { budget_alert_thresholds: [95, 80] });
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].threshold).toBe(95);
+  });
+
+  test('defaults to an 80% threshold and ignores blocking limits', () => {
+    expect(budgetWarnings([entry(85)], {})[0].threshold).toBe(80);
+    expect(budgetWarnings([entry(100, 0)], {})).toHaveLength(0);
+  });
+});
+
+describe('parseChatMessages', () => {
+  test('parses stored JSON and tolerates bad values', () => {
+    expect(parseChatMessages('[{"role":"user","content":"hi"}]')).toEqual([{ role: 'user', content: 'hi' }]);
+    expect(parseChatMessages(null)).toEqual([]);
+    expect(parseChatMessages('not json')).toEqual([]);
+    expect(parseChatMessages('{}')).toEqual([]);
+  });
+});
+
+describe('extractHtml', () => {
+  test('strips markdown fences and chatter around the document', () => {
+    expect(extractHtml('Here you go!\n```html\n<!DOCTYPE html>\n<html></html>\n```\nEnjoy')).toBe('<!DOCTYPE html>\n<html></html>');
+    expect(extractHtml('Sure: <!DOCTYPE html><html><body></body></html> Let me know!')).toBe('<!DOCTYPE html><html><body></body></html>');
+  });
+
+  test('keeps an unclosed fence (truncated output) and bare HTML as is', () => {
+    expect(extractHtml('```html\n<!DOCTYPE html><html><body>')).toBe('<!DOCTYPE html><html><body>');
+    const page = '<!DOCTYPE html><html><script>const md = "```js";</script></html>';
+    expect(extractHtml(page)).toBe(page);
+  });
+});
+
+describe('validateHtml', () => {
+  const codes = (html, opts) => validateHtml(html, opts).map(w => w.code);
+
+  test('a complete document has no warnings', () => {
+    expect(codes('<!DOCTYPE html><html><head><style></style></head><body><script></script></body></html>')).toEqual([]);
+  });
+
+  test('flags missing structure, unbalanced tags and truncation', () => {
+    expect(codes('<html><body><script>let x;</body>', { truncated: true })).toEqual([
+      'truncated',
+      'missing_doctype',
+      'missing_html',
+      'unbalanced_script',
+    ]);
+    expect(codes('')).toEqual(['no_html']);
+  });
+});
+
+describe('diffLines / unifiedDiff', () => {
+  test('marks removed and added lines around common ones', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { op: ' ', line: 'a' },
+      { op: '-', line: 'b' },
+      { op: '+', line: 'x' },
+      { op: ' ', line: 'c' },
+    ]);
+  });
+
+  test('identical texts have an empty diff', () => {
+    expect(unifiedDiff('same\ntext', 'same\ntext')).toBe('');
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const after = [...before];
+    after[1] = 'changed 2';
+    after[17] = 'changed 18';
+    const hunks = unifiedDiff(before.join('\n'), after.join('\n'), { context: 1 })
+      .split('\n')
+      .filter(line => line.startsWith('@@'));
+    expect(hunks).toEqual(['@@ -1,3 +1,3 @@', '@@ -17,3 +17,3 @@']);
+  });
+
+  test('refuses texts whose differing parts are too large to compare', () => {
+    const lines = (prefix) => Array.from({ length: 4000 }, (_, i) => `${prefix} ${i}`).join('\n');
+    expect(diffLines(lines('old'), lines('new'))).toBeNull();
+    expect(unifiedDiff(lines('old'), lines('new'))).toBeNull();
+    expect(diffLines(`${lines('same')}\nx`, `${lines('same')}\ny`)).toHaveLength(4002);
+  });
+});
+
+describe('parseEdits / applyEdits', () => {
+  const page = '<html>\n<body>\n<h1>Hi</h1>\n<p>One</p>\n</body>\n</html>';
+
+  test('parses search/replace blocks, including empty replacements', () => {
+    const text = '<<<<<<< SEARCH\n<h1>Hi</h1>\n=======\n<h1>Hello</h1>\n>>>>>>> REPLACE\n<<<<<<< SEARCH\n<p>One</p>\n=======\n>>>>>>> REPLACE';
+    expect(parseEdits(text)).toEqual([
+      { search: '<h1>Hi</h1>', replace: '<h1>Hello</h1>' },
+      { search: '<p>One</p>', replace: '' },
+    ]);
+  });
+
+  test('applies edits in order', () => {
+    const { code } = applyEdits(page, [{ search: '<h1>Hi</h1>', replace: '<h1>Hello</h1>' }]);
+    expect(code).toContain('<h1>Hello</h1>');
+  });
+
+  test('rejects missing, ambiguous or document-breaking edits', () => {
+    expect(applyEdits(page, []).error).toBe('No edits returned');
+    expect(applyEdits(page, [{ search: '<h2>', replace: '' }]).error).toBe('Edit 1: search text not found');
+    expect(applyEdits('<html><p></p><p></p></html>', [{ search: '<p>', replace: '' }]).error).toContain('ambiguous');
+    expect(applyEdits(page, [{ search: '</html>', replace: '' }]).error).toContain('not a complete HTML document');
+  });
+});
+
+describe('createZip / readZip', () => {
+  test('round-trips files, including non-ASCII names and content', () => {
+    const zip = createZip([{ name: 'index.html', data: '<p>héllo</p>' }, { name: 'versions/v1.html', data: Buffer.from('v1') }]);
+    expect(readZip(zip).map(f => [f.name, f.data.toString('utf8')])).toEqual([
+      ['index.html', '<p>héllo</p>'],
+      ['versions/v1.html', 'v1'],
+    ]);
+  });
+
+  test('rejects data that is not a zip or has been corrupted', () => {
+    expect(() => readZip(Buffer.from('hello'))).toThrow('Not a zip archive');
+    const zip = createZip([{ name: 'a.txt', data: 'aaaaaaaaaaaaaaaa' }]);
+    zip[36] ^= 0xff; // inside the compressed data
+    expect(() => readZip(zip)).toThrow();
+  });
+});
+
+describe('parseChatArchive', () => {
+  test('requires the manifest and the code of every listed version', () => {
+    const manifest = { format: 'sparkk-chat', format_version: 1, title: 'T', versions: [{ version_number: 1 }] };
+    expect(parseChatArchive(createZip([{ name: 'index.html', data: '' }])).error).toBe('Invalid export archive');
+    expect(parseChatArchive(createZip([{ name: 'chat.json', data: JSON.stringify(manifest) }])).error)
+      .toBe('Missing code for version 1');
+
+    const archive = parseChatArchive(createZip([
+      { name: 'chat.json', data: JSON.stringify(manifest) },
+      { name: 'versions/v1.html', data: '<html></html>' },
+    ]));
+    expect(archive.generatedCode).toBe('<html></html>');
+    expect(archive.messages).toEqual([]);
+  });
+
+  test('rejects malformed transcript entries and repeated version numbers', () => {
+    const manifest = { format: 'sparkk-chat', format_version: 1, title: 'T', versions: [{ version_number: 1 }] };
+    const parse = (transcript, versions = manifest.versions) => parseChatArchive(createZip([
+      { name: 'chat.json', data: JSON.stringify({ ...manifest, versions }) },
+      { name: 'versions/v1.html', data: '<html></html>' },
+      { name: 'transcript.json', data: JSON.stringify(transcript) },
+    ]));
+
+    const turns = [
+      { role: 'user', content: 'Build a quiz' },
+      { role: 'assistant', content: [{ type: 'text', text: '<html></html>' }] },
+    ];
+    expect(parse(turns).messages).toEqual(turns);
+    for (const bad of [null, 42, { role: 'system', content: 'x' }, { role: 'user' }, { role: 'user', content: [null] }]) {
+      expect(parse([...turns, bad]).error).toBe('Invalid transcript');
+    }
+    expect(parse(turns, [{ version_number: 1 }, { version_number: 1 }]).error).toBe('Duplicate version 1');
+  });
+});
+
+describe('renderPrompt / parsePresetValues', () => {
+  const preset = { variables: { topic: 'anything', theme: 'dark' } };
+
+  test('fills placeholders from values, then defaults', () => {
+    expect(renderPrompt('A {{ topic }} app, {{theme}} theme, {{missing}}.', preset.variables, { topic: 'chess' }))
+      .toBe('A chess app, dark theme, .');
+  });
+
+  test('only accepts short strings for declared variables', () => {
+    expect(parsePresetValues(preset, undefined)).toEqual({ values: {} });
+    expect(parsePresetValues(preset, { topic: 'chess' })).toEqual({ values: { topic: 'chess' } });
+    expect(parsePresetValues(preset, ['chess']).error).toBe('presetVariables must be an object');
+    expect(parsePresetValues(preset, { font: 'serif' }).error).toBe('Unknown preset variable: font');
+    expect(parsePresetValues(preset, { topic: 'x'.repeat(201) }).error).toContain('at most 200');
+  });
+});
+
+describe('validateImages', () => {
+  const image = (source) => [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=', ...source } }] }];
+
+  test('accepts base64 images of supported types', () => {
+    expect(validateImages(image({}))).toBeNull();
+    expect(validateImages([{ role: 'user', content: 'no images' }])).toBeNull();
+  });
+
+  test('rejects bad types, data, sizes and counts', () => {
+    expect(validateImages(image({ media_type: 'image/svg+xml' }))).toContain('Unsupported image type');
+    expect(validateImages(image({ data: 'not base64!' }))).toBe('Image data must be base64');
+    expect(validateImages(image({ data: 'A'.repeat(8 * 1024 * 1024) }))).toBe('Images must be at most 5MB');
+    expect(validateImages(image({ type: 'url', url: 'https://example.com/a.png' }))).toBe('Images must be sent as base64 sources');
+
+    const six = Array.from({ length: 6 }, () => image({})[0]);
+    expect(validateImages(six)).toBe('At most 5 images per request');
+  });
+});
+
+describe('sweepConnections', () => {
+  const socket = (isAlive) => ({ isAlive, ping: jest.fn(), terminate: jest.fn() });
+
+  test('pings live sockets and drops ones that missed the last ping', () => {
+    const live = socket(true);
+    const dead = socket(false);
+    sweepConnections(new Set([live, dead]));
+
+    expect(live.ping).toHaveBeenCalled();
+    expect(live.isAlive).toBe(false);
+    expect(dead.terminate).toHaveBeenCalled();
+    expect(dead.ping).not.toHaveBeenCalled();
+  });
+});
+
+describe('standings points', () => {
+  test('parsePointsScheme keeps given fields and checks they are integers', () => {
+    expect(parsePointsScheme({ name: 'x' })).toEqual({ values: {} });
+    expect(parsePointsScheme({ points_win: 2, points_loss: null })).toEqual({ values: { points_win: 2, points_loss: null } });
+    expect(parsePointsScheme({ points_draw: 1.5 }).error).toBe('points_draw must be an integer');
+  });
+
+  test('resolvePoints prefers the league, then the sport, then 3-1-0', () => {
+    expect(resolvePoints({ points_win: 2, points_draw: null }, { points_draw: 0, points_win: 5 }))
+      .toEqual({ points_win: 2, points_draw: 0, points_loss: 0 });
+    expect(resolvePoints(null, null)).toEqual({ points_win: 3, points_draw: 1, points_loss: 0 });
+  });
+});
+
+describe('computeStandings', () => {
+  const points = { points_win: 3, points_draw: 1, points_loss: 0 };
+
+  test('counts completed matches only and lists teams without games', () => {
+    const rows = computeStandings([
+      { home_team_id: 'a', away_team_id: 'b', home_score: 3, away_score: 1, status: 'completed' },
+      { home_team_id: 'b', away_team_id: 'a', home_score: 2, away_score: 2, status: 'completed' },
+      { home_team_id: 'a', away_team_id: 'b', home_score: 0, away_score: 5, status: 'live' },
+    ], ['a', 'b', 'c'], points);
+
+    expect(rows).toEqual([
+      { team_id: 'a', played: 2, won: 1, drawn: 1, lost: 0, goals_for: 5, goals_against: 3, points: 4 },
+      { team_id: 'b', played: 2, won: 0, drawn: 1, lost: 1, goals_for: 3, goals_against: 5, points: 1 },
+      { team_id: 'c', played: 0, won: 0, drawn: 0, lost: 0, goals_for: 0, goals_against: 0, points: 0 },
+    ]);
+  });
+
+  test('applies the given points per result', () => {
+    const [winner, loser] = computeStandings([
+      { home_team_id: 'a', away_team_id: 'b', home_score: 1, away_score: 0, status: 'completed' },
+    ], [], { points_win: 2, points_draw: 1, points_loss: 1 });
+    expect(winner.points).toBe(2);
+    expect(loser.points).toBe(1);
+  });
+});
+
+describe('parseTieBreakers', () => {
+  test('accepts known criteria once each, null resets', () => {
+    expect(parseTieBreakers(undefined)).toEqual({ values: {} });
+    expect(parseTieBreakers(null)).toEqual({ values: { tie_breakers: null } });
+    expect(parseTieBreakers(['wins', 'name'])).toEqual({ values: { tie_breakers: ['wins', 'name'] } });
+    expect(parseTieBreakers('wins').error).toBe('tie_breakers must be an array');
+    expect(parseTieBreakers(['wins', 'luck']).error).toBe('Unknown tie-breaker: luck');
+    expect(parseTieBreakers(['wins', 'wins']).error).toBe('tie_breakers must not repeat');
+    expect(parseTieBreakers(['name', 'wins']).error).toBe('name must be the last tie-breaker');
+  });
+});
+
+describe('rankStandings', () => {
+  const row = (team_id, name, stats) => ({
+    team_id, teams: { name }, played: 0, won: 0, drawn: 0, lost: 0, goals_for: 0, goals_against: 0, points: 0, ...stats,
+  });
+  const match = (home, away, home_score, away_score, match_date) => ({
+    home_team_id: home, away_team_id: away, home_score, away_score, match_date, status: 'completed',
+  });
+
+  test('breaks ties in the given order and adds goal difference and form', () => {
+    const rows = [
+      row('a', 'Alpha', { points: 3, won: 1, goals_for: 1, goals_against: 2 }),
+      row('b', 'Bravo', { points: 3, won: 1, goals_for: 4, goals_against: 1 }),
+      row('c', 'Charlie', { points: 6, won: 2, goals_for: 2, goals_against: 0 }),
+    ];
+    const matches = [
+      match('a', 'b', 1, 0, '2026-01-01'),
+      match('c', 'b', 1, 0, '2026-01-08'),
+      match('b', 'c', 4, 0, '2026-01-15'),
+      match('c', 'a', 1, 0, '2026-01-22'),
+    ];
+
+    const byGoals = rankStandings(rows, matches);
+    expect(byGoals.map(r => [r.team_id, r.rank, r.goal_difference, r.form])).toEqual([
+      ['c', 1, 2, 'WLW'],
+      ['b', 2, 3, 'LLW'],
+      ['a', 3, -1, 'WL'],
+    ]);
+
+    // a beat b in their only meeting
+    const byHeadToHead = rankStandings(rows, matches, { tieBreakers: ['head_to_head_points', 'goal_difference'] });
+    expect(byHeadToHead.map(r => r.team_id)).toEqual(['c', 'a', 'b']);
+  });
+
+  test('head-to-head only counts matches among the teams still tied', () => {
+    const rows = [
+      row('a', 'Alpha', { points: 6, won: 2, goals_for: 8, goals_against: 3 }),
+      row('b', 'Bravo', { points: 6, won: 2, goals_for: 3, goals_against: 3 }),
+      row('c', 'Charlie', { points: 6, won: 2, goals_for: 3, goals_against: 3 }),
+    ];
+    const matches = [
+      match('b', 'c', 1, 0, '2026-01-01'),
+      match('c', 'a', 2, 0, '2026-01-08'),
+      match('a', 'b', 3, 0, '2026-01-15'),
+    ];
+
+    // Goal difference puts a first; b beat c, although c did better
+    // than b against a
+    expect(rankStandings(rows, matches).map(r => [r.team_id, r.rank])).toEqual([['a', 1], ['b', 2], ['c', 3]]);
+  });
+
+  test('teams level on everything but their name share a rank', () => {
+    const rows = [row('z', 'Zulu', { points: 1 }), row('y', 'Yankee', { points: 1 }), row('x', 'X-ray')];
+    expect(rankStandings(rows, []).map(r => [r.team_id, r.rank])).toEqual([['y', 1], ['z', 1], ['x', 3]]);
+  });
+
+  test('keeps only the last five results', () => {
+    const matches = ['01', '02', '03', '04', '05', '06'].map((day, i) => match('a', 'b', i === 0 ? 0 : 1, 0, `2026-02-${day}`));
+    expect(rankStandings([row('a', 'A')], matches)[0].form).toBe('WWWWW');
+  });
+});
+
+describe('roundRobinRounds', () => {
+  const teams = (n) => Array.from({ length: n }, (_, i) => `t${i}`);
+  const homeAway = (rounds, ids) => {
+    const runs = Object.fromEntries(ids.map(id => [id, '']));
+    rounds.flat().forEach(([home, away]) => { runs[home] += 'H'; runs[away] += 'A'; });
+    return runs;
+  };
+
+  test('every pair meets once, nobody plays twice in a round', () => {
+    for (const n of [2, 5, 8]) {
+      const rounds = roundRobinRounds(teams(n));
+      expect(rounds).toHaveLength(n % 2 === 0 ? n - 1 : n);
+
+      const pairs = rounds.flat().map(pair => [...pair].sort().join());
+      expect(new Set(pairs).size).toBe(n * (n - 1) / 2);
+      rounds.forEach(round => expect(new Set(round.flat()).size).toBe(round.length * 2));
+    }
+  });
+
+  test('balances home and away games', () => {
+    for (const n of [6, 7]) {
+      const runs = Object.values(homeAway(roundRobinRounds(teams(n)), teams(n)));
+      const homes = runs.map(r => r.split('H').length - 1);
+      expect(Math.max(...homes) - Math.min(...homes)).toBeLessThanOrEqual(1);
+      // Two home or two away games in a row only where unavoidable
+      expect(runs.join(' ').match(/HH|AA/g) || []).toHaveLength(n % 2 === 0 ? n - 2 : 0);
+    }
+  });
+
+  test('a double round-robin plays the first half again with venues swapped, from its second round', () => {
+    const single = roundRobinRounds(teams(4));
+    const double = roundRobinRounds(teams(4), { double: true });
+    expect(double).toHaveLength(6);
+    const mirrored = single.map(round => round.map(([home, away]) => [away, home]));
+    expect(double.slice(3)).toEqual([...mirrored.slice(1), mirrored[0]]);
+  });
+
+  test('a double round-robin never has three home or away games in a row', () => {
+    for (let n = 3; n <= 20; n++) {
+      const runs = Object.values(homeAway(roundRobinRounds(teams(n), { double: true }), teams(n)));
+      expect(runs.join(' ')).not.toMatch(/HHH|AAA/);
+    }
+  });
 });
@@ -101,9 +101,15 @@ ALTER TABLE matches ENABLE ROW LEVEL SECURITY;
 ALTER TABLE standings ENABLE ROW LEVEL SECURITY;
 
 -- Allow service role full access (for backend)
+DROP POLICY IF EXISTS "Service role full access" ON sports;
 CREATE POLICY "Service role full access" ON sports FOR ALL USING (true);
+DROP POLICY IF EXISTS "Service role full access" ON leagues;
 CREATE POLICY "Service role full access" ON leagues FOR ALL USING (true);
+DROP POLICY IF EXISTS "Service role full access" ON teams;
 CREATE POLICY "Service role full access" ON teams FOR ALL USING (true);
+DROP POLICY IF EXISTS "Service role full access" ON players;
 CREATE POLICY "Service role full access" ON players FOR ALL USING (true);
+DROP POLICY IF EXISTS "Service role full access" ON matches;
 CREATE POLICY "Service role full access" ON matches FOR ALL USING (true);
+DROP POLICY IF EXISTS "Service role full access" ON standings;
 CREATE POLICY "Service role full access" ON standings FOR ALL USING (true);
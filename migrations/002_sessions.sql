@@ -0,0 +1,22 @@
+-- =============================================
+-- SPARKK Sessions — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- One row per login; refresh tokens are stored only as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON sessions;
+CREATE POLICY "Service role full access" ON sessions FOR ALL USING (true);
@@ -0,0 +1,27 @@
+-- =============================================
+-- SPARKK Email Verification & Password Reset — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Accounts that existed before verification was introduced count as verified;
+-- new registrations start unverified
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT true;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;
+
+-- Single-use tokens; only the SHA-256 of the token is stored
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id);
+
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON auth_tokens;
+CREATE POLICY "Service role full access" ON auth_tokens FOR ALL USING (true);
@@ -0,0 +1,73 @@
+-- =============================================
+-- SPARKK Credit Ledger — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Every balance change; amount is signed (negative = debit)
+CREATE TABLE IF NOT EXISTS credit_transactions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('topup', 'generation_charge', 'refund', 'adjustment')),
+  amount NUMERIC(12, 6) NOT NULL,
+  balance_after NUMERIC(12, 6) NOT NULL,
+  description TEXT DEFAULT '',
+  reference_id UUID,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_user_id ON credit_transactions(user_id, created_at DESC);
+
+ALTER TABLE credit_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON credit_transactions;
+CREATE POLICY "Service role full access" ON credit_transactions FOR ALL USING (true);
+
+-- Applies a balance change and writes its ledger row in one transaction.
+-- The user row is locked, so concurrent calls are serialized instead of
+-- overwriting each other. Generation charges never push the balance below zero;
+-- the ledger records what was actually debited.
+CREATE OR REPLACE FUNCTION apply_credit_transaction(
+  p_user_id UUID,
+  p_type TEXT,
+  p_amount NUMERIC,
+  p_description TEXT DEFAULT '',
+  p_reference_id UUID DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+) RETURNS credit_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance NUMERIC;
+  v_amount NUMERIC := p_amount;
+  v_row credit_transactions;
+BEGIN
+  SELECT credits INTO v_balance FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_type = 'generation_charge' THEN
+    v_amount := -LEAST(-p_amount, GREATEST(v_balance, 0));
+  END IF;
+
+  UPDATE users
+  SET credits = credits + v_amount,
+      total_spent = COALESCE(total_spent, 0) + CASE WHEN p_type = 'generation_charge' THEN -p_amount ELSE 0 END
+  WHERE id = p_user_id
+  RETURNING credits INTO v_balance;
+
+  INSERT INTO credit_transactions (user_id, type, amount, balance_after, description, reference_id, created_by)
+  VALUES (p_user_id, p_type, v_amount, v_balance, COALESCE(p_description, ''), p_reference_id, p_created_by)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- Opening balances, so the ledger sums to each user's current credits
+INSERT INTO credit_transactions (user_id, type, amount, balance_after, description)
+SELECT u.id, 'adjustment', u.credits, u.credits, 'Opening balance'
+FROM users u
+WHERE u.credits <> 0
+  AND NOT EXISTS (SELECT 1 FROM credit_transactions t WHERE t.user_id = u.id);
@@ -0,0 +1,95 @@
+-- =============================================
+-- SPARKK Credit Pre-Authorization — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Worst-case cost held against a balance while a generation runs.
+-- Holds older than 15 minutes are treated as abandoned (e.g. a crash mid-call).
+CREATE TABLE IF NOT EXISTS credit_reservations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount NUMERIC(12, 6) NOT NULL CHECK (amount >= 0),
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'settled', 'released')),
+  settled_amount NUMERIC(12, 6),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  closed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_user_held ON credit_reservations(user_id) WHERE status = 'held';
+
+ALTER TABLE credit_reservations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON credit_reservations;
+CREATE POLICY "Service role full access" ON credit_reservations FOR ALL USING (true);
+
+-- Returns the new hold, or NULL when credits minus open holds can't cover it
+CREATE OR REPLACE FUNCTION reserve_credits(
+  p_user_id UUID,
+  p_amount NUMERIC
+) RETURNS credit_reservations
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance NUMERIC;
+  v_held NUMERIC;
+  v_row credit_reservations;
+BEGIN
+  SELECT credits INTO v_balance FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_held
+  FROM credit_reservations
+  WHERE user_id = p_user_id
+    AND status = 'held'
+    AND created_at > NOW() - INTERVAL '15 minutes';
+
+  IF v_balance - v_held < p_amount THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO credit_reservations (user_id, amount)
+  VALUES (p_user_id, p_amount)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+-- Closes a hold and debits the actual cost through the ledger
+CREATE OR REPLACE FUNCTION settle_credit_reservation(
+  p_reservation_id UUID,
+  p_amount NUMERIC,
+  p_description TEXT DEFAULT '',
+  p_reference_id UUID DEFAULT NULL
+) RETURNS credit_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_reservation credit_reservations;
+BEGIN
+  UPDATE credit_reservations
+  SET status = 'settled', settled_amount = p_amount, closed_at = NOW()
+  WHERE id = p_reservation_id AND status = 'held'
+  RETURNING * INTO v_reservation;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reservation % is not open', p_reservation_id USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN apply_credit_transaction(
+    v_reservation.user_id, 'generation_charge', -p_amount, p_description, p_reference_id, NULL
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_credit_reservation(
+  p_reservation_id UUID
+) RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE credit_reservations
+  SET status = 'released', closed_at = NOW()
+  WHERE id = p_reservation_id AND status = 'held';
+$$;
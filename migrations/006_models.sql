@@ -0,0 +1,38 @@
+-- =============================================
+-- SPARKK Model Catalog — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Prices are USD per million tokens. Rows with alias_of set are aliases
+-- (e.g. a retired model ID) and carry no pricing of their own.
+CREATE TABLE IF NOT EXISTS models (
+  id TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  input_price NUMERIC(10, 4) DEFAULT 0,
+  output_price NUMERIC(10, 4) DEFAULT 0,
+  max_tokens INTEGER DEFAULT 16000,
+  enabled BOOLEAN DEFAULT true,
+  alias_of TEXT REFERENCES models(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE models ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON models;
+CREATE POLICY "Service role full access" ON models FOR ALL USING (true);
+
+-- Seed with the models previously hardcoded in server.js
+INSERT INTO models (id, label, input_price, output_price, max_tokens) VALUES
+  ('claude-sonnet-4-5-20250929', 'Sonnet 4.5', 3.0, 15.0, 16000),
+  ('claude-haiku-4-5-20251001', 'Haiku 4.5', 1.0, 5.0, 16000),
+  ('claude-opus-4-20250514', 'Opus 4', 15.0, 75.0, 16000)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO models (id, label, alias_of) VALUES
+  ('claude-haiku-3-5-20241022', 'Haiku 3.5 (alias)', 'claude-haiku-4-5-20251001')
+ON CONFLICT (id) DO NOTHING;
+
+-- Price actually billed for each call
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS input_price_usd NUMERIC(10, 4);
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS output_price_usd NUMERIC(10, 4);
@@ -0,0 +1,27 @@
+-- =============================================
+-- SPARKK Spending Limits — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Per-student caps on spend per UTC day or month. model '*' covers all
+-- models; a limit of 0 on a specific model blocks it.
+CREATE TABLE IF NOT EXISTS spending_limits (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  model TEXT NOT NULL DEFAULT '*',
+  period TEXT NOT NULL CHECK (period IN ('day', 'month')),
+  limit_eur NUMERIC(12, 4) NOT NULL CHECK (limit_eur >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, model, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_logs_user_created ON usage_logs(user_id, created_at);
+
+ALTER TABLE spending_limits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON spending_limits;
+CREATE POLICY "Service role full access" ON spending_limits FOR ALL USING (true);
+
+-- Percentages of a cap at which students get a warning
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS budget_alert_thresholds INTEGER[] DEFAULT '{80}';
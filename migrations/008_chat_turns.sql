@@ -0,0 +1,73 @@
+-- =============================================
+-- SPARKK Server-Side Chat Persistence — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Clients used to number versions themselves, so some chats hold the same
+-- number twice. Renumber those chats 1..n, keeping the current order.
+WITH numbered AS (
+  SELECT ctid AS row_id,
+         ROW_NUMBER() OVER (PARTITION BY chat_id ORDER BY version_number, ctid) AS n
+  FROM versions
+  WHERE chat_id IN (
+    SELECT chat_id FROM versions GROUP BY chat_id, version_number HAVING COUNT(*) > 1
+  )
+)
+UPDATE versions
+SET version_number = numbered.n
+FROM numbered
+WHERE versions.ctid = numbered.row_id;
+
+-- Two versions of a chat can never share a number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_versions_chat_version ON versions(chat_id, version_number);
+
+-- Appends a user/assistant turn to a chat, stores the generated code as the
+-- next version and updates the chat's counters, all in one transaction.
+-- The chat row is locked so concurrent turns get consecutive numbers.
+CREATE OR REPLACE FUNCTION record_chat_turn(
+  p_chat_id UUID,
+  p_user_message JSONB,
+  p_assistant_message JSONB,
+  p_code TEXT,
+  p_prompt TEXT,
+  p_cost NUMERIC
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_chat chats;
+  v_next INTEGER;
+  v_version versions;
+BEGIN
+  SELECT * INTO v_chat FROM chats WHERE id = p_chat_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Chat % not found', p_chat_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(MAX(version_number), 0) + 1 INTO v_next
+  FROM versions WHERE chat_id = p_chat_id;
+
+  INSERT INTO versions (chat_id, user_id, version_number, code, prompt)
+  VALUES (p_chat_id, v_chat.user_id, v_next, p_code, p_prompt)
+  RETURNING * INTO v_version;
+
+  UPDATE chats
+  SET messages = (COALESCE(NULLIF(messages, ''), '[]')::jsonb || jsonb_build_array(p_user_message, p_assistant_message))::text,
+      generated_code = p_code,
+      message_count = COALESCE(message_count, 0) + 2,
+      total_cost = COALESCE(total_cost, 0) + p_cost,
+      updated_at = NOW()
+  WHERE id = p_chat_id
+  RETURNING * INTO v_chat;
+
+  RETURN jsonb_build_object(
+    'chat', jsonb_build_object(
+      'id', v_chat.id,
+      'message_count', v_chat.message_count,
+      'total_cost', v_chat.total_cost,
+      'updated_at', v_chat.updated_at
+    ),
+    'version', to_jsonb(v_version)
+  );
+END;
+$$;
@@ -0,0 +1,49 @@
+-- =============================================
+-- SPARKK Version Restore — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Which version a restored version was copied from
+ALTER TABLE versions ADD COLUMN IF NOT EXISTS restored_from INTEGER;
+
+-- Copies an existing version's code into a new version numbered after the
+-- latest one and makes it the chat's current code. Versions are never
+-- updated or deleted, so the history stays append-only.
+CREATE OR REPLACE FUNCTION restore_chat_version(
+  p_chat_id UUID,
+  p_version_number INTEGER
+) RETURNS versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_chat chats;
+  v_source versions;
+  v_next INTEGER;
+  v_version versions;
+BEGIN
+  SELECT * INTO v_chat FROM chats WHERE id = p_chat_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Chat % not found', p_chat_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT * INTO v_source FROM versions
+  WHERE chat_id = p_chat_id AND version_number = p_version_number;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Version % not found', p_version_number USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT MAX(version_number) + 1 INTO v_next
+  FROM versions WHERE chat_id = p_chat_id;
+
+  INSERT INTO versions (chat_id, user_id, version_number, code, prompt, restored_from)
+  VALUES (p_chat_id, v_chat.user_id, v_next, v_source.code, 'Restored version ' || p_version_number, p_version_number)
+  RETURNING * INTO v_version;
+
+  UPDATE chats
+  SET generated_code = v_source.code,
+      updated_at = NOW()
+  WHERE id = p_chat_id;
+
+  RETURN v_version;
+END;
+$$;
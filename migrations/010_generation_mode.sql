@@ -0,0 +1,8 @@
+-- =============================================
+-- SPARKK Incremental Edit Mode — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- How a generation was produced: 'full', 'edit', or 'edit_fallback' when
+-- the edits didn't apply and the whole file was regenerated
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS generation_mode TEXT NOT NULL DEFAULT 'full';
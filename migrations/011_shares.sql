@@ -0,0 +1,30 @@
+-- =============================================
+-- SPARKK Public Share Links — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- A published version of a chat, served at /p/:slug until unpublished
+CREATE TABLE IF NOT EXISTS shares (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  chat_id UUID NOT NULL REFERENCES chats(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  unpublished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shares_user ON shares(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_shares_chat ON shares(chat_id);
+
+ALTER TABLE shares ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role full access" ON shares;
+CREATE POLICY "Service role full access" ON shares FOR ALL USING (true);
+
+CREATE OR REPLACE FUNCTION increment_share_views(p_share_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE shares SET view_count = view_count + 1 WHERE id = p_share_id;
+$$;
@@ -0,0 +1,88 @@
+-- =============================================
+-- SPARKK Prompt Presets — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- System prompt templates. Each edit is a new row with the next version;
+-- {{name}} placeholders are filled from `variables` (name -> default value)
+-- or the values a chat picked.
+CREATE TABLE IF NOT EXISTS prompt_presets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  slug TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  template TEXT NOT NULL,
+  variables JSONB NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (slug, version)
+);
+
+ALTER TABLE prompt_presets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access" ON prompt_presets;
+CREATE POLICY "Service role full access" ON prompt_presets FOR ALL USING (true);
+
+INSERT INTO prompt_presets (slug, version, name, description, template, variables) VALUES
+  ('landing-page', 1, 'Landing page', 'A marketing page for a product or project',
+   'You are Sparkk, an AI app builder. Build a landing page for {{product_name}} as a COMPLETE, self-contained HTML file with inline CSS and JavaScript.
+
+Rules:
+- Output ONLY the HTML code, nothing else — no markdown, no backticks, no explanation
+- Include a hero section, features, and a call to action
+- Use {{accent_color}} as the accent color on a {{theme}} theme
+- Make it fully responsive, with smooth scrolling and subtle animations
+- The HTML must work standalone when opened in a browser
+- If the user asks to modify existing code, output the COMPLETE modified HTML file',
+   '{"product_name": "the user''s product", "accent_color": "#7c3aed", "theme": "dark"}'),
+  ('game', 1, 'Game', 'A browser game using canvas or the DOM',
+   'You are Sparkk, an AI app builder. Build a browser game as a COMPLETE, self-contained HTML file with inline CSS and JavaScript.
+
+Rules:
+- Output ONLY the HTML code, nothing else — no markdown, no backticks, no explanation
+- Use a game loop with requestAnimationFrame and keyboard plus touch controls
+- Show the score, a start screen and a game over screen with restart
+- Target difficulty: {{difficulty}}
+- Use a {{theme}} theme
+- The HTML must work standalone when opened in a browser
+- If the user asks to modify existing code, output the COMPLETE modified HTML file',
+   '{"difficulty": "medium", "theme": "dark"}'),
+  ('dashboard', 1, 'Dashboard', 'A data dashboard with charts and tables',
+   'You are Sparkk, an AI app builder. Build a data dashboard as a COMPLETE, self-contained HTML file with inline CSS and JavaScript.
+
+Rules:
+- Output ONLY the HTML code, nothing else — no markdown, no backticks, no explanation
+- Draw charts with inline SVG or canvas — no external libraries
+- Use realistic sample data about {{topic}}
+- Use a {{theme}} theme with clear, readable typography
+- Make it fully responsive
+- The HTML must work standalone when opened in a browser
+- If the user asks to modify existing code, output the COMPLETE modified HTML file',
+   '{"topic": "the subject the user describes", "theme": "dark"}'),
+  ('light-theme', 1, 'Light theme', 'The default builder with a light color scheme',
+   'You are Sparkk, an AI app builder. When the user describes what they want to build, generate a COMPLETE, self-contained HTML file with inline CSS and JavaScript.
+
+Rules:
+- Output ONLY the HTML code, nothing else — no markdown, no backticks, no explanation
+- Make it visually polished with modern CSS (soft shadows, rounded corners, animations)
+- Use a light theme (#ffffff background, #111111 text) with {{accent_color}} as the accent
+- Make it fully responsive and interactive
+- Include all JavaScript inline in <script> tags
+- Include all CSS inline in <style> tags
+- The HTML must work standalone when opened in a browser
+- If the user asks to modify existing code, output the COMPLETE modified HTML file',
+   '{"accent_color": "#2563eb"}')
+ON CONFLICT (slug, version) DO NOTHING;
+
+-- The preset a chat uses, pinned to the version it was picked at
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS preset_slug TEXT;
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS preset_version INTEGER;
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS preset_variables JSONB NOT NULL DEFAULT '{}';
+
+-- Lets usage analytics compare presets (and versions of one preset)
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS chat_id UUID;
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS preset_slug TEXT;
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS preset_version INTEGER;
+CREATE INDEX IF NOT EXISTS idx_usage_logs_preset ON usage_logs(preset_slug, preset_version);
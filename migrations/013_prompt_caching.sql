@@ -0,0 +1,15 @@
+-- =============================================
+-- SPARKK Prompt Caching — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- USD per million tokens. NULL means the default ratio to input_price
+-- (1.25x for cache writes, 0.1x for cache reads).
+ALTER TABLE models ADD COLUMN IF NOT EXISTS cache_write_price NUMERIC(10, 4);
+ALTER TABLE models ADD COLUMN IF NOT EXISTS cache_read_price NUMERIC(10, 4);
+
+-- Cached prompt tokens are reported separately from input_tokens
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cache_creation_input_tokens INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cache_read_input_tokens INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cache_write_price_usd NUMERIC(10, 4);
+ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cache_read_price_usd NUMERIC(10, 4);
@@ -0,0 +1,7 @@
+-- =============================================
+-- SPARKK Live Match Updates — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- When a match's score or status last changed; sent with live updates
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
@@ -0,0 +1,17 @@
+-- =============================================
+-- SPARKK Standings Recalculation — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Points awarded per result. A league's values override its sport's;
+-- NULL falls through to the next level, then to 3-1-0.
+ALTER TABLE sports ADD COLUMN IF NOT EXISTS points_win INTEGER;
+ALTER TABLE sports ADD COLUMN IF NOT EXISTS points_draw INTEGER;
+ALTER TABLE sports ADD COLUMN IF NOT EXISTS points_loss INTEGER;
+
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS points_win INTEGER;
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS points_draw INTEGER;
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS points_loss INTEGER;
+
+-- Standings are rebuilt from completed matches of a league
+CREATE INDEX IF NOT EXISTS idx_matches_league_status ON matches(league_id, status);
@@ -0,0 +1,9 @@
+-- =============================================
+-- SPARKK Standings Tie-Breakers — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Ordered criteria for teams level on points, e.g.
+-- {goal_difference,goals_for,head_to_head_points,wins,name}.
+-- NULL uses the default order.
+ALTER TABLE leagues ADD COLUMN IF NOT EXISTS tie_breakers TEXT[];
@@ -0,0 +1,9 @@
+-- =============================================
+-- SPARKK Fixture Generator — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Round of the season a match belongs to (1, 2, ...); NULL for one-offs
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS matchday INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_matches_league_matchday ON matches(league_id, matchday);
@@ -0,0 +1,46 @@
+-- =============================================
+-- SPARKK Spending Cap Holds — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Open holds count towards spending caps, so they record the model
+-- (per-model caps only see holds for their model)
+ALTER TABLE credit_reservations ADD COLUMN IF NOT EXISTS model TEXT;
+
+DROP FUNCTION IF EXISTS reserve_credits(UUID, NUMERIC);
+
+-- Returns the new hold, or NULL when credits minus open holds can't cover it
+CREATE OR REPLACE FUNCTION reserve_credits(
+  p_user_id UUID,
+  p_amount NUMERIC,
+  p_model TEXT DEFAULT NULL
+) RETURNS credit_reservations
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance NUMERIC;
+  v_held NUMERIC;
+  v_row credit_reservations;
+BEGIN
+  SELECT credits INTO v_balance FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_held
+  FROM credit_reservations
+  WHERE user_id = p_user_id
+    AND status = 'held'
+    AND created_at > NOW() - INTERVAL '15 minutes';
+
+  IF v_balance - v_held < p_amount THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO credit_reservations (user_id, amount, model)
+  VALUES (p_user_id, p_amount, p_model)
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
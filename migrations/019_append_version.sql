@@ -0,0 +1,34 @@
+-- =============================================
+-- SPARKK Server-Numbered Versions — Database Migration
+-- Run this in Supabase SQL Editor
+-- =============================================
+
+-- Stores code as the next version of a chat. The chat row is locked so
+-- concurrent saves get consecutive numbers, as in record_chat_turn.
+CREATE OR REPLACE FUNCTION append_chat_version(
+  p_chat_id UUID,
+  p_code TEXT,
+  p_prompt TEXT
+) RETURNS versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_chat chats;
+  v_next INTEGER;
+  v_version versions;
+BEGIN
+  SELECT * INTO v_chat FROM chats WHERE id = p_chat_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Chat % not found', p_chat_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COALESCE(MAX(version_number), 0) + 1 INTO v_next
+  FROM versions WHERE chat_id = p_chat_id;
+
+  INSERT INTO versions (chat_id, user_id, version_number, code, prompt)
+  VALUES (p_chat_id, v_chat.user_id, v_next, p_code, p_prompt)
+  RETURNING * INTO v_version;
+
+  RETURN v_version;
+END;
+$$;
@@ -9,7 +9,10 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 const projectRef = new URL(SUPABASE_URL).hostname.split('.')[0];
 
-const sql = fs.readFileSync(path.join(__dirname, '001_sports_tables.sql'), 'utf8');
+// Numbered migrations run in filename order
+const migrations = fs.readdirSync(__dirname)
+  .filter(file => /^\d+_.+\.sql$/.test(file))
+  .sort();
 
 // Connection configs to try (Supabase pooler with JWT auth)
 const configs = [
@@ -90,15 +93,39 @@ async function run() {
   }
 
   try {
-    console.log('\nRunning migration...');
-    await client.query(sql);
+    // Applied migrations are recorded so later runs skip them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        filename TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+    const { rows } = await client.query('SELECT filename FROM schema_migrations');
+    const applied = new Set(rows.map(r => r.filename));
+
+    for (const file of migrations) {
+      if (applied.has(file)) {
+        console.log(`Skipping ${file} (already applied)`);
+        continue;
+      }
+
+      console.log(`\nRunning ${file}...`);
+      try {
+        await client.query('BEGIN');
+        await client.query(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+        await client.query('INSERT INTO schema_migrations (filename) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`${file}: ${err.message}`);
+      }
+    }
     console.log('Migration completed successfully!');
 
     // Verify tables were created
     const result = await client.query(`
       SELECT table_name FROM information_schema.tables
       WHERE table_schema = 'public'
-      AND table_name IN ('sports', 'leagues', 'teams', 'players', 'matches', 'standings')
       ORDER BY table_name
     `);
     console.log(`\nVerified tables: ${result.rows.map(r => r.table_name).join(', ')}`);
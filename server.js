@@ -12,6 +12,7 @@ const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
 require('dotenv').config();
 
 // ==================== CONFIG ====================
@@ -26,6 +27,12 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 
+// Behind nginx set TRUST_PROXY=1 so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' || trust);
+}
+
 // ==================== CLIENTS ====================
 
 const anthropic = new Anthropic({
@@ -37,12 +44,15 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-// ==================== MODEL PRICING (USD per million tokens) ====================
+// ==================== MODEL CATALOG (USD per million tokens) ====================
 
+const MAX_OUTPUT_TOKENS = 16000;
+
+// Built-in defaults, used until the `models` table has rows (and as the seed for it)
 const MODEL_PRICING = {
-  'claude-sonnet-4-5-20250929': { label: 'Sonnet 4.5', input: 3.0, output: 15.0 },
-  'claude-haiku-4-5-20251001': { label: 'Haiku 4.5', input: 1.0, output: 5.0 },
-  'claude-opus-4-20250514': { label: 'Opus 4', input: 15.0, output: 75.0 },
+  'claude-sonnet-4-5-20250929': { label: 'Sonnet 4.5', input: 3.0, output: 15.0, maxTokens: MAX_OUTPUT_TOKENS },
+  'claude-haiku-4-5-20251001': { label: 'Haiku 4.5', input: 1.0, output: 5.0, maxTokens: MAX_OUTPUT_TOKENS },
+  'claude-opus-4-20250514': { label: 'Opus 4', input: 15.0, output: 75.0, maxTokens: MAX_OUTPUT_TOKENS },
 };
 
 // Map deprecated model IDs to current ones
@@ -50,10 +60,250 @@ const MODEL_ALIASES = {
   'claude-haiku-3-5-20241022': 'claude-haiku-4-5-20251001',
 };
 
+const MODEL_CACHE_TTL_MS = 60 * 1000;
+
+// Prompt cache prices relative to the input price, for models without
+// explicit cache prices: writes cost 25% more, reads 90% less
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+let modelCatalog = { pricing: MODEL_PRICING, aliases: MODEL_ALIASES, loadedAt: 0 };
+
+// Reloads enabled models and aliases from the database at most once per
+// MODEL_CACHE_TTL_MS. Keeps the last good catalog if the query fails. The
+// built-in models are only used while the table is empty: once it has rows,
+// disabling all of them leaves no models at all.
+async function loadModelCatalog({ force = false } = {}) {
+  if (!force && Date.now() - modelCatalog.loadedAt < MODEL_CACHE_TTL_MS) {
+    return modelCatalog;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('models')
+    .select('*');
+
+  if (error) {
+    console.error('Model catalog error:', error.message || error);
+    return modelCatalog;
+  }
+
+  if (!rows || rows.length === 0) {
+    modelCatalog = { pricing: MODEL_PRICING, aliases: MODEL_ALIASES, loadedAt: Date.now() };
+    return modelCatalog;
+  }
+
+  const pricing = {};
+  const aliases = {};
+  for (const row of rows.filter(r => r.enabled)) {
+    if (row.alias_of) {
+      aliases[row.id] = row.alias_of;
+    } else {
+      pricing[row.id] = {
+        label: row.label,
+        input: parseFloat(row.input_price),
+        output: parseFloat(row.output_price),
+        maxTokens: row.max_tokens || MAX_OUTPUT_TOKENS,
+        ...(row.cache_write_price != null && { cacheWrite: parseFloat(row.cache_write_price) }),
+        ...(row.cache_read_price != null && { cacheRead: parseFloat(row.cache_read_price) }),
+      };
+    }
+  }
+
+  modelCatalog = { pricing, aliases, loadedAt: Date.now() };
+  return modelCatalog;
+}
+
+function invalidateModelCatalog() {
+  modelCatalog = { ...modelCatalog, loadedAt: 0 };
+}
+
+// Current price entry for a model ID, resolving aliases
+function getModelPricing(model) {
+  const id = modelCatalog.aliases[model] || model;
+  return modelCatalog.pricing[id] || null;
+}
+
+// ==================== SESSION TOKENS ====================
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60;
+
+// Without SESSION_SECRET every restart invalidates all issued tokens
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60; // seconds
+const PASSWORD_RESET_TTL = 60 * 60;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// ==================== PASSWORD HASHING ====================
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, { ...params, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+// Format: scrypt$N$r$p$<salt base64>$<hash base64>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// Checks a password against a stored hash. Accepts legacy unsalted SHA-256
+// hashes and reports `needsRehash` so callers can upgrade them on login.
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (/^[0-9a-f]{64}$/.test(storedHash)) {
+    const legacy = Buffer.from(crypto.createHash('sha256').update(password).digest('hex'));
+    const valid = crypto.timingSafeEqual(legacy, Buffer.from(storedHash));
+    return { valid, needsRehash: valid };
+  }
+
+  const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !hash) return { valid: false, needsRehash: false };
+
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scryptAsync(password, Buffer.from(salt, 'base64'), params);
+  const valid = key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  const outdated = params.N !== SCRYPT_PARAMS.N || params.r !== SCRYPT_PARAMS.r || params.p !== SCRYPT_PARAMS.p;
+
+  return { valid, needsRehash: valid && outdated };
+}
+
+// Logins for unknown emails are checked against this, so they take as long
+// as real ones and response times don't reveal which emails have accounts
+let dummyHash = null;
+function dummyPasswordHash() {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
 // ==================== HELPERS ====================
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signPayload(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+// Compact HS256 JWT
+function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds })).toString('base64url');
+  return `${header}.${body}.${signPayload(`${header}.${body}`)}`;
+}
+
+// Returns the payload of a valid, unexpired token, otherwise null
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(signPayload(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+  return payload;
+}
+
+function issueTokens(session, refreshToken) {
+  return {
+    accessToken: signToken({ sub: session.user_id, sid: session.id }, ACCESS_TOKEN_TTL),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+async function createSession(userId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .insert({
+      user_id: userId,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return issueTokens(session, refreshToken);
+}
+
+// Single-use tokens for email verification and password reset.
+// Only the SHA-256 of the token is stored.
+async function issueAuthToken(userId, purpose, ttlSeconds) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  // A new token supersedes any unused one for the same purpose
+  await supabase
+    .from('auth_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  const { error } = await supabase
+    .from('auth_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      used_at: null,
+    });
+
+  if (error) throw error;
+  return token;
+}
+
+// Marks the token used and returns its row, or null if it is unknown,
+// already used or expired
+async function consumeAuthToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const { data: row } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .select()
+    .single();
+
+  if (!row || new Date(row.expires_at) <= new Date()) return null;
+  return row;
 }
 
 async function getSettings() {
@@ -62,15 +312,29 @@ async function getSettings() {
     .select('*')
     .eq('id', 'global')
     .single();
-  return data || { profit_margin: 30, eur_rate: 0.92 };
+  return data || { profit_margin: 30, eur_rate: 0.92, budget_alert_thresholds: DEFAULT_ALERT_THRESHOLDS };
+}
+
+// `pricing` defaults to the current catalog entry; generations pass the
+// entry they started with so a mid-call price change doesn't apply
+function cacheWritePrice(pricing) {
+  return pricing.cacheWrite ?? pricing.input * CACHE_WRITE_MULTIPLIER;
+}
+
+function cacheReadPrice(pricing) {
+  return pricing.cacheRead ?? pricing.input * CACHE_READ_MULTIPLIER;
 }
 
-function calculateCost(inputTokens, outputTokens, model, settings) {
-  const pricing = MODEL_PRICING[model];
+// cacheTokens: { write, read } prompt-cache token counts, which Anthropic
+// reports separately from (not included in) inputTokens
+function calculateCost(inputTokens, outputTokens, model, settings, pricing = getModelPricing(model), cacheTokens = {}) {
   if (!pricing) return { baseCostUSD: 0, baseCostEUR: 0, chargedEUR: 0 };
 
+  const { write = 0, read = 0 } = cacheTokens;
   const baseCostUSD =
     (inputTokens / 1_000_000) * pricing.input +
+    (write / 1_000_000) * cacheWritePrice(pricing) +
+    (read / 1_000_000) * cacheReadPrice(pricing) +
     (outputTokens / 1_000_000) * pricing.output;
 
   const baseCostEUR = baseCostUSD * (settings.eur_rate || 0.92);
@@ -79,9 +343,250 @@ function calculateCost(inputTokens, outputTokens, model, settings) {
   return { baseCostUSD, baseCostEUR, chargedEUR };
 }
 
+// ==================== MAIL ====================
+
+// A transport is any object with `async send({ to, subject, text })`.
+// MAIL_TRANSPORT picks one: console, file or webhook. Console is the
+// default for development and tests; it prints the links to the log.
+function createMailTransport(kind = process.env.MAIL_TRANSPORT || 'console') {
+  if (kind === 'file') {
+    const file = process.env.MAIL_FILE || path.join(__dirname, 'mail.log');
+    return {
+      send: async (mail) => {
+        await fs.promises.appendFile(file, JSON.stringify({ ...mail, sent_at: new Date().toISOString() }) + '\n');
+      },
+    };
+  }
+
+  if (kind === 'webhook') {
+    return {
+      send: async (mail) => {
+        const response = await fetch(process.env.MAIL_WEBHOOK_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(mail),
+        });
+        if (!response.ok) throw new Error(`Mail webhook responded ${response.status}`);
+      },
+    };
+  }
+
+  return {
+    send: async ({ to, subject, text }) => {
+      console.log(`[mail] to=${to} subject="${subject}"\n${text}`);
+    },
+  };
+}
+
+let mailTransport = createMailTransport();
+
+function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL);
+  await mailTransport.send({
+    to: user.email,
+    subject: 'Confirm your Sparkk email',
+    text: `Hi ${user.first_name},\n\nConfirm your email to start building:\n${APP_URL}/verify-email?token=${token}\n\nThe link expires in 24 hours.`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueAuthToken(user.id, 'password_reset', PASSWORD_RESET_TTL);
+  await mailTransport.send({
+    to: user.email,
+    subject: 'Reset your Sparkk password',
+    text: `Hi ${user.first_name},\n\nReset your password here:\n${APP_URL}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`,
+  });
+}
+
+// ==================== RATE LIMITING ====================
+
+// "<capacity>/<seconds>": a bucket of `capacity` requests that refills fully
+// over `seconds`, so short bursts are fine but the average rate is capped
+function parseRateLimit(value, fallback) {
+  const pattern = /^(\d+)\/(\d+)$/;
+  const match = pattern.exec(value || '') || pattern.exec(fallback);
+  const capacity = Number(match[1]);
+  const seconds = Number(match[2]);
+  return { capacity, seconds, refillPerSecond: capacity / seconds };
+}
+
+const RATE_LIMITS = {
+  generateUser: parseRateLimit(process.env.RATE_LIMIT_GENERATE_USER, '20/60'),
+  generateIp: parseRateLimit(process.env.RATE_LIMIT_GENERATE_IP, '60/60'),
+  authIp: parseRateLimit(process.env.RATE_LIMIT_AUTH_IP, '30/60'),
+  // Failed logins per email before the account is locked out
+  loginFailures: parseRateLimit(process.env.RATE_LIMIT_LOGIN_FAILURES, '5/900'),
+};
+
+// A store implements:
+//   async take(key, limit, cost = 1) -> { allowed, remaining, retryAfter }
+//   async peek(key, limit)            -> { remaining, retryAfter }
+//   async reset(key)
+// `retryAfter` is in whole seconds. This one keeps buckets in process memory;
+// a shared store (e.g. Redis) can implement the same three methods.
+function createMemoryRateLimitStore({ now = Date.now, maxKeys = 10000 } = {}) {
+  const buckets = new Map();
+
+  function refill(key, limit) {
+    const time = now();
+    const bucket = buckets.get(key) || { tokens: limit.capacity, updatedAt: time };
+    const elapsed = (time - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+    bucket.updatedAt = time;
+    return bucket;
+  }
+
+  function retryAfter(bucket, limit, cost) {
+    return Math.max(1, Math.ceil((cost - bucket.tokens) / limit.refillPerSecond));
+  }
+
+  // Drop idle (full) buckets so one-off IPs don't accumulate forever
+  function prune() {
+    if (buckets.size <= maxKeys) return;
+    for (const [key, bucket] of buckets) {
+      const elapsed = (now() - bucket.updatedAt) / 1000;
+      if (elapsed > 3600) buckets.delete(key);
+    }
+  }
+
+  return {
+    async take(key, limit, cost = 1) {
+      const bucket = refill(key, limit);
+      buckets.set(key, bucket);
+      prune();
+
+      if (bucket.tokens < cost) {
+        return { allowed: false, remaining: Math.floor(bucket.tokens), retryAfter: retryAfter(bucket, limit, cost) };
+      }
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    },
+
+    async peek(key, limit) {
+      if (!buckets.has(key)) return { remaining: limit.capacity, retryAfter: 0 };
+      const bucket = refill(key, limit);
+      return {
+        remaining: Math.floor(bucket.tokens),
+        retryAfter: bucket.tokens >= 1 ? 0 : retryAfter(bucket, limit, 1),
+      };
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+let rateLimitStore = createMemoryRateLimitStore();
+
+function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+function sendRateLimited(res, retryAfter, message = 'Too many requests, please slow down') {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, retry_after: retryAfter });
+}
+
+// Express middleware; `keyOf(req)` picks the bucket (skip with a falsy key).
+// Fails open: a broken store should not take the API down.
+function rateLimit(limitName, keyOf) {
+  return async (req, res, next) => {
+    try {
+      const key = keyOf(req);
+      if (!key) return next();
+
+      const result = await rateLimitStore.take(`${limitName}:${key}`, RATE_LIMITS[limitName]);
+      if (!result.allowed) return sendRateLimited(res, result.retryAfter);
+      next();
+    } catch (err) {
+      console.error('Rate limit error:', err);
+      next();
+    }
+  };
+}
+
+const limitAuthByIp = rateLimit('authIp', req => req.ip);
+const limitGenerateByIp = rateLimit('generateIp', req => req.ip);
+const limitGenerateByUser = rateLimit('generateUser', req => req.user?.id);
+
+// ==================== AUTH MIDDLEWARE ====================
+
+// Resolves the caller from `Authorization: Bearer <accessToken>`.
+// Returns null for missing, invalid, expired or revoked tokens.
+async function authenticate(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return null;
+
+  const auth = await userFromAccessToken(match[1]);
+  if (!auth) return null;
+
+  req.user = auth.user;
+  req.sessionId = auth.sessionId;
+  return auth.user;
+}
+
+// The user (and session) behind an access token, if the session is live
+async function userFromAccessToken(token) {
+  const payload = verifyToken(token);
+  if (!payload) return null;
+
+  const { data: session } = await supabase
+    .from('sessions')
+    .select('id, user_id, revoked_at')
+    .eq('id', payload.sid)
+    .single();
+
+  if (!session || session.revoked_at || session.user_id !== payload.sub) return null;
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', payload.sub)
+    .single();
+
+  if (!user) return null;
+
+  return { user, sessionId: session.id, expiresAt: payload.exp * 1000 };
+}
+
+async function requireAuth(req, res, next) {
+  try {
+    const user = await authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Auth check failed' });
+  }
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+
+    if (!user.is_admin) {
+      return res.status(403).json({ error: 'Admin access denied' });
+    }
+
+    req.adminUser = user;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Auth check failed' });
+  }
+}
+
 // ==================== AUTH ROUTES ====================
 
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', limitAuthByIp, async (req, res) => {
   try {
     const { email, password, firstName, lastName } = req.body;
 
@@ -103,166 +608,1202 @@ app.post('/api/auth/register', async (req, res) => {
       .from('users')
       .insert({
         email: email.toLowerCase(),
-        password_hash: hashPassword(password),
+        password_hash: await hashPassword(password),
         first_name: firstName,
         last_name: lastName,
         credits: 0,
         is_admin: false,
+        email_verified: false,
       })
       .select()
       .single();
 
     if (error) throw error;
 
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      // The user can ask for a new link, so don't fail the registration
+      console.error('Verification email error:', mailErr);
+    }
+
+    const tokens = await createSession(user.id);
+
     const { password_hash, ...safeUser } = user;
-    res.json({ user: safeUser });
+    res.json({ user: safeUser, ...tokens });
   } catch (err) {
     console.error('Register error:', err);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', limitAuthByIp, async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
 
-    const { data: user, error } = await supabase
+    const failureKey = `loginFailures:${email.toLowerCase()}`;
+    const lockout = await rateLimitStore.peek(failureKey, RATE_LIMITS.loginFailures);
+    if (lockout.remaining < 1) {
+      return sendRateLimited(res, lockout.retryAfter, 'Too many failed login attempts, try again later');
+    }
+
+    const { data: user } = await supabase
       .from('users')
       .select('*')
       .eq('email', email.toLowerCase())
-      .eq('password_hash', hashPassword(password))
       .single();
 
-    if (!user) {
+    const { valid, needsRehash } = await verifyPassword(password, user?.password_hash || await dummyPasswordHash());
+    if (!user || !valid) {
+      await rateLimitStore.take(failureKey, RATE_LIMITS.loginFailures);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    await rateLimitStore.reset(failureKey);
+
+    // Transparently upgrade legacy SHA-256 (or outdated scrypt) hashes
+    if (needsRehash) {
+      await supabase
+        .from('users')
+        .update({ password_hash: await hashPassword(password) })
+        .eq('id', user.id);
+    }
+
+    const tokens = await createSession(user.id);
+
     const { password_hash, ...safeUser } = user;
-    res.json({ user: safeUser });
+    res.json({ user: safeUser, ...tokens });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-app.get('/api/auth/me/:userId', async (req, res) => {
+app.post('/api/auth/refresh', limitAuthByIp, async (req, res) => {
   try {
-    const { data: user } = await supabase
-      .from('users')
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const { data: session } = await supabase
+      .from('sessions')
       .select('*')
-      .eq('id', req.params.userId)
+      .eq('refresh_token_hash', hashToken(refreshToken))
       .single();
 
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    const { password_hash, ...safeUser } = user;
-    res.json({ user: safeUser });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch user' });
-  }
-});
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-// ==================== SETTINGS ROUTES ====================
+    // Rotate: the presented refresh token can only be used once
+    const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+    const { data: rotated, error } = await supabase
+      .from('sessions')
+      .update({
+        refresh_token_hash: hashToken(nextRefreshToken),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+        last_used_at: new Date().toISOString(),
+      })
+      .eq('id', session.id)
+      .select()
+      .single();
 
-app.get('/api/settings', async (req, res) => {
-  try {
-    const settings = await getSettings();
-    res.json(settings);
+    if (error) throw error;
+    res.json(issueTokens(rotated, nextRefreshToken));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch settings' });
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Token refresh failed' });
   }
 });
 
-app.put('/api/settings', async (req, res) => {
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
   try {
-    const { profit_margin, eur_rate } = req.body;
-    const { data, error } = await supabase
-      .from('settings')
-      .update({ profit_margin, eur_rate })
-      .eq('id', 'global')
-      .select()
-      .single();
+    const revokedAt = new Date().toISOString();
+
+    // { all: true } signs the user out on every device
+    const query = req.body?.all
+      ? supabase.from('sessions').update({ revoked_at: revokedAt }).eq('user_id', req.user.id)
+      : supabase.from('sessions').update({ revoked_at: revokedAt }).eq('id', req.sessionId);
 
+    const { error } = await query;
     if (error) throw error;
-    res.json(data);
+    closeSessionSockets(req.user.id, req.body?.all ? null : req.sessionId);
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to update settings' });
+    res.status(500).json({ error: 'Logout failed' });
   }
 });
 
-// ==================== ADMIN AUTH MIDDLEWARE ====================
-
-async function requireAdmin(req, res, next) {
+app.post('/api/auth/verify-email', limitAuthByIp, async (req, res) => {
   try {
-    const adminId = req.headers['x-admin-id'];
-    if (!adminId) {
-      return res.status(401).json({ error: 'Admin authentication required' });
+    const row = await consumeAuthToken(req.body.token, 'email_verification');
+    if (!row) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
     }
 
-    const { data: admin } = await supabase
+    const { error } = await supabase
       .from('users')
-      .select('id, is_admin')
-      .eq('id', adminId)
-      .single();
-
-    if (!admin || !admin.is_admin) {
-      return res.status(403).json({ error: 'Admin access denied' });
-    }
+      .update({ email_verified: true })
+      .eq('id', row.user_id);
 
-    req.adminUser = admin;
-    next();
+    if (error) throw error;
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: 'Auth check failed' });
+    console.error('Verify email error:', err);
+    res.status(500).json({ error: 'Email verification failed' });
   }
-}
-
-// ==================== ADMIN ROUTES ====================
+});
 
-app.get('/api/admin/students', requireAdmin, async (req, res) => {
+app.post('/api/auth/verify-email/resend', requireAuth, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('id, email, first_name, last_name, credits, total_spent, is_admin, created_at')
-      .order('created_at', { ascending: false });
+    if (req.user.email_verified) {
+      return res.status(409).json({ error: 'Email already verified' });
+    }
 
-    if (error) throw error;
-    res.json(data);
+    await sendVerificationEmail(req.user);
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch students' });
+    console.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
 });
 
-app.post('/api/admin/topup', requireAdmin, async (req, res) => {
+app.post('/api/auth/password-reset/request', limitAuthByIp, async (req, res) => {
   try {
-    const { userId, amount } = req.body;
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email is required' });
 
     const { data: user } = await supabase
       .from('users')
-      .select('credits')
-      .eq('id', userId)
-      .single();
-
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    const newCredits = parseFloat(user.credits) + parseFloat(amount);
-
-    const { data, error } = await supabase
-      .from('users')
-      .update({ credits: newCredits })
-      .eq('id', userId)
-      .select()
+      .select('*')
+      .eq('email', email.toLowerCase())
       .single();
 
-    if (error) throw error;
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailErr) {
+        // A failure must not answer differently from an unknown email
+        console.error('Password reset email error:', mailErr);
+      }
+    }
 
-    const { password_hash, ...safeUser } = data;
-    res.json({ user: safeUser });
+    // Same answer either way so the endpoint can't be used to probe for accounts
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: 'Top up failed' });
+    console.error('Password reset request error:', err);
+    res.status(500).json({ error: 'Failed to request password reset' });
   }
 });
 
-// ==================== GENERATE (Claude API) ====================
+app.post('/api/auth/password-reset', limitAuthByIp, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const row = await consumeAuthToken(token, 'password_reset');
+    if (!row) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // Receiving the reset link also proves the address
+    const { error } = await supabase
+      .from('users')
+      .update({ password_hash: await hashPassword(password), email_verified: true })
+      .eq('id', row.user_id);
+
+    if (error) throw error;
+
+    // Sign out every existing session
+    await supabase
+      .from('sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', row.user_id);
+    closeSessionSockets(row.user_id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Password reset error:', err);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  const { password_hash, ...safeUser } = req.user;
+  res.json({ user: safeUser });
+});
+
+// ==================== SETTINGS ROUTES ====================
+
+app.get('/api/settings', async (req, res) => {
+  try {
+    const settings = await getSettings();
+    res.json(settings);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+app.put('/api/settings', requireAdmin, async (req, res) => {
+  try {
+    const { profit_margin, eur_rate, budget_alert_thresholds } = req.body;
+
+    if (budget_alert_thresholds !== undefined && (
+      !Array.isArray(budget_alert_thresholds) ||
+      !budget_alert_thresholds.every(t => Number.isInteger(t) && t > 0 && t <= 100)
+    )) {
+      return res.status(400).json({ error: 'budget_alert_thresholds must be whole percentages between 1 and 100' });
+    }
+
+    const { data, error } = await supabase
+      .from('settings')
+      .update({ profit_margin, eur_rate, budget_alert_thresholds })
+      .eq('id', 'global')
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+app.get('/api/admin/students', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, email, first_name, last_name, credits, total_spent, is_admin, created_at')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch students' });
+  }
+});
+
+app.post('/api/admin/topup', requireAdmin, async (req, res) => {
+  try {
+    const { userId, amount, description } = req.body;
+    const value = Number(amount);
+
+    if (!userId || !Number.isFinite(value) || value <= 0) {
+      return res.status(400).json({ error: 'userId and a positive amount are required' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const transaction = await applyCreditTransaction({
+      userId,
+      type: 'topup',
+      amount: value,
+      description: description || 'Admin top-up',
+      createdBy: req.adminUser.id,
+    });
+
+    const { password_hash, ...safeUser } = { ...user, credits: transaction.balance_after };
+    res.json({ user: safeUser, transaction });
+  } catch (err) {
+    res.status(500).json({ error: 'Top up failed' });
+  }
+});
+
+app.post('/api/admin/credits/adjust', requireAdmin, async (req, res) => {
+  try {
+    const { userId, amount, type = 'adjustment', description } = req.body;
+    const value = Number(amount);
+
+    if (!['refund', 'adjustment'].includes(type)) {
+      return res.status(400).json({ error: 'type must be refund or adjustment' });
+    }
+    if (!userId || !Number.isFinite(value) || value === 0 || (type === 'refund' && value < 0)) {
+      return res.status(400).json({ error: 'userId and a valid amount are required' });
+    }
+    if (!description) {
+      return res.status(400).json({ error: 'A description is required for manual changes' });
+    }
+
+    const transaction = await applyCreditTransaction({
+      userId,
+      type,
+      amount: value,
+      description,
+      createdBy: req.adminUser.id,
+    });
+
+    res.json({ transaction });
+  } catch (err) {
+    if (err.code === 'P0002') return res.status(404).json({ error: 'User not found' });
+    res.status(500).json({ error: 'Credit adjustment failed' });
+  }
+});
+
+// ==================== CREDIT LEDGER ====================
+
+const CREDIT_TRANSACTION_TYPES = ['topup', 'generation_charge', 'refund', 'adjustment'];
+
+// Changes a balance and records the ledger entry in one database call
+// (see apply_credit_transaction in migrations). `amount` is signed:
+// positive adds credits, negative removes them.
+async function applyCreditTransaction({ userId, type, amount, description = '', referenceId = null, createdBy = null }) {
+  if (!CREDIT_TRANSACTION_TYPES.includes(type)) {
+    throw new Error('Unknown credit transaction type: ' + type);
+  }
+
+  const { data, error } = await supabase.rpc('apply_credit_transaction', {
+    p_user_id: userId,
+    p_type: type,
+    p_amount: amount,
+    p_description: description,
+    p_reference_id: referenceId,
+    p_created_by: createdBy,
+  });
+
+  if (error) throw error;
+  notifyCreditChange(data);
+  return data;
+}
+
+// Holds `amount` against the user's available balance (credits minus
+// other open holds). Returns the reservation, or null if it doesn't fit.
+async function reserveCredits(userId, amount, model = null) {
+  const { data, error } = await supabase.rpc('reserve_credits', {
+    p_user_id: userId,
+    p_amount: amount,
+    p_model: model,
+  });
+
+  if (error) throw error;
+  // The function's NULL arrives as a row whose columns are all null
+  return data?.id ? data : null;
+}
+
+// Holds that still count against the balance (see reserve_credits: older
+// ones are treated as abandoned)
+const RESERVATION_TTL_MS = 15 * 60 * 1000;
+
+async function openReservations(userId) {
+  const { data, error } = await supabase
+    .from('credit_reservations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'held')
+    .gte('created_at', new Date(Date.now() - RESERVATION_TTL_MS).toISOString());
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Closes a hold and charges the actual cost through the ledger
+async function settleReservation(reservation, amount, description, referenceId = null) {
+  const { data, error } = await supabase.rpc('settle_credit_reservation', {
+    p_reservation_id: reservation.id,
+    p_amount: amount,
+    p_description: description,
+    p_reference_id: referenceId,
+  });
+
+  if (error) throw error;
+  notifyCreditChange(data);
+  return data;
+}
+
+async function releaseReservation(reservation) {
+  const { error } = await supabase.rpc('release_credit_reservation', {
+    p_reservation_id: reservation.id,
+  });
+
+  if (error) throw error;
+}
+
+app.get('/api/credits/:userId/history', requireAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId !== req.user.id && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, credits')
+      .eq('id', userId)
+      .single();
+
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    let query = supabase
+      .from('credit_transactions')
+      .select('*')
+      .eq('user_id', userId);
+    if (req.query.type) query = query.eq('type', req.query.type);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    res.json({ balance: user.credits, transactions: data || [], limit, offset });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch credit history' });
+  }
+});
+
+// ==================== MODEL CATALOG ROUTES ====================
+
+function parseModelBody(body) {
+  const { label, input_price, output_price, cache_write_price, cache_read_price, max_tokens, enabled, alias_of } = body;
+  const fields = {};
+  if (label !== undefined) fields.label = label;
+  if (input_price !== undefined) fields.input_price = Number(input_price);
+  if (output_price !== undefined) fields.output_price = Number(output_price);
+  // null falls back to the input price times CACHE_WRITE/READ_MULTIPLIER
+  if (cache_write_price !== undefined) fields.cache_write_price = cache_write_price === null ? null : Number(cache_write_price);
+  if (cache_read_price !== undefined) fields.cache_read_price = cache_read_price === null ? null : Number(cache_read_price);
+  if (max_tokens !== undefined) fields.max_tokens = parseInt(max_tokens, 10);
+  if (enabled !== undefined) fields.enabled = Boolean(enabled);
+  if (alias_of !== undefined) fields.alias_of = alias_of || null;
+
+  for (const key of ['input_price', 'output_price', 'cache_write_price', 'cache_read_price']) {
+    if (key in fields && fields[key] !== null && (!Number.isFinite(fields[key]) || fields[key] < 0)) {
+      return { error: `${key} must be a non-negative number` };
+    }
+  }
+  if ('max_tokens' in fields && (!Number.isInteger(fields.max_tokens) || fields.max_tokens <= 0)) {
+    return { error: 'max_tokens must be a positive integer' };
+  }
+  return { fields };
+}
+
+// An alias must point at a real (non-alias) model
+async function checkAliasTarget(aliasOf, id) {
+  if (!aliasOf) return null;
+  if (aliasOf === id) return 'A model cannot alias itself';
+
+  const { data: target } = await supabase
+    .from('models')
+    .select('id, alias_of')
+    .eq('id', aliasOf)
+    .single();
+
+  if (!target) return 'Alias target not found: ' + aliasOf;
+  if (target.alias_of) return 'Alias target must not itself be an alias';
+  return null;
+}
+
+app.get('/api/admin/models', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('models')
+      .select('*')
+      .order('id', { ascending: true });
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch models' });
+  }
+});
+
+app.post('/api/admin/models', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.body;
+    if (!id) return res.status(400).json({ error: 'Model id is required' });
+
+    const { fields, error: invalid } = parseModelBody(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    if (!fields.alias_of && (!fields.label || fields.input_price === undefined || fields.output_price === undefined)) {
+      return res.status(400).json({ error: 'label, input_price and output_price are required' });
+    }
+
+    const aliasError = await checkAliasTarget(fields.alias_of, id);
+    if (aliasError) return res.status(400).json({ error: aliasError });
+
+    const { data, error } = await supabase
+      .from('models')
+      .insert({ id, enabled: true, max_tokens: MAX_OUTPUT_TOKENS, label: fields.label || id, ...fields })
+      .select()
+      .single();
+    if (error) throw error;
+
+    invalidateModelCatalog();
+    res.status(201).json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create model' });
+  }
+});
+
+app.put('/api/admin/models/:id', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error: invalid } = parseModelBody(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const aliasError = await checkAliasTarget(fields.alias_of, req.params.id);
+    if (aliasError) return res.status(400).json({ error: aliasError });
+
+    const { data, error } = await supabase
+      .from('models')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Model not found' });
+
+    invalidateModelCatalog();
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update model' });
+  }
+});
+
+app.delete('/api/admin/models/:id', requireAdmin, async (req, res) => {
+  try {
+    const { error } = await supabase.from('models').delete().eq('id', req.params.id);
+    if (error) throw error;
+
+    invalidateModelCatalog();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete model' });
+  }
+});
+
+// ==================== PROMPT PRESETS ====================
+
+// Admin-managed system prompts. Edits insert a new version rather than
+// changing the old one, so chats and usage logs keep pointing at the exact
+// template they ran with.
+const PRESET_SLUG_RE = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const PRESET_VALUE_MAX_LENGTH = 200;
+
+// Fills {{name}} placeholders from `values`, then the preset's defaults
+function renderPrompt(template, defaults = {}, values = {}) {
+  return template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_, name) => String(values[name] ?? defaults[name] ?? ''));
+}
+
+// Checks values a user picked for a preset; returns { values } or { error }
+function parsePresetValues(preset, values) {
+  if (values === undefined || values === null) return { values: {} };
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    return { error: 'presetVariables must be an object' };
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    if (!(name in (preset.variables || {}))) return { error: 'Unknown preset variable: ' + name };
+    if (typeof value !== 'string' || value.length > PRESET_VALUE_MAX_LENGTH) {
+      return { error: `${name} must be a string of at most ${PRESET_VALUE_MAX_LENGTH} characters` };
+    }
+  }
+  return { values };
+}
+
+function parsePresetBody(body) {
+  const { name, description, template, variables } = body;
+  const fields = {};
+  if (name !== undefined) fields.name = name;
+  if (description !== undefined) fields.description = description;
+  if (template !== undefined) fields.template = template;
+  if (variables !== undefined) fields.variables = variables || {};
+
+  if ('template' in fields && (typeof fields.template !== 'string' || !fields.template.trim())) {
+    return { error: 'template must be a non-empty string' };
+  }
+  if ('variables' in fields) {
+    const values = fields.variables;
+    if (typeof values !== 'object' || Array.isArray(values) || !Object.values(values).every(v => typeof v === 'string')) {
+      return { error: 'variables must map names to default strings' };
+    }
+  }
+  return { fields };
+}
+
+// A specific version, or the latest active one
+async function findPreset(slug, version) {
+  let query = supabase
+    .from('prompt_presets')
+    .select('*')
+    .eq('slug', slug);
+  query = version
+    ? query.eq('version', version)
+    : query.eq('is_active', true).order('version', { ascending: false }).limit(1);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Latest version of each preset, optionally only active ones
+async function listPresets({ activeOnly }) {
+  let query = supabase.from('prompt_presets').select('*');
+  if (activeOnly) query = query.eq('is_active', true);
+
+  const { data, error } = await query.order('version', { ascending: false });
+  if (error) throw error;
+
+  const latest = new Map();
+  for (const preset of data || []) {
+    if (!latest.has(preset.slug)) latest.set(preset.slug, preset);
+  }
+  return [...latest.values()].sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+app.get('/api/presets', requireAuth, async (req, res) => {
+  try {
+    const presets = await listPresets({ activeOnly: true });
+    res.json(presets.map(({ slug, version, name, description, variables }) => ({
+      slug, version, name, description, variables,
+    })));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch presets' });
+  }
+});
+
+// With ?slug= lists every version of that preset
+app.get('/api/admin/presets', requireAdmin, async (req, res) => {
+  try {
+    if (!req.query.slug) return res.json(await listPresets({ activeOnly: false }));
+
+    const { data, error } = await supabase
+      .from('prompt_presets')
+      .select('*')
+      .eq('slug', req.query.slug)
+      .order('version', { ascending: false });
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch presets' });
+  }
+});
+
+app.post('/api/admin/presets', requireAdmin, async (req, res) => {
+  try {
+    const { slug } = req.body;
+    if (!slug || !PRESET_SLUG_RE.test(slug)) {
+      return res.status(400).json({ error: 'slug must be lowercase letters, digits and dashes' });
+    }
+
+    const { fields, error: invalid } = parsePresetBody(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!fields.name || !fields.template) {
+      return res.status(400).json({ error: 'name and template are required' });
+    }
+
+    const { data: existing } = await supabase
+      .from('prompt_presets')
+      .select('id')
+      .eq('slug', slug)
+      .limit(1);
+    if (existing?.length) return res.status(409).json({ error: 'Preset already exists' });
+
+    const { data, error } = await supabase
+      .from('prompt_presets')
+      .insert({ slug, version: 1, variables: {}, ...fields, is_active: true, created_by: req.adminUser.id })
+      .select()
+      .single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to create preset' });
+  }
+});
+
+// Saves the changes as the next version; earlier versions stay untouched
+app.put('/api/admin/presets/:slug', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error: invalid } = parsePresetBody(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const { data: versions, error: fetchError } = await supabase
+      .from('prompt_presets')
+      .select('*')
+      .eq('slug', req.params.slug)
+      .order('version', { ascending: false })
+      .limit(1);
+    if (fetchError) throw fetchError;
+
+    const current = versions?.[0];
+    if (!current) return res.status(404).json({ error: 'Preset not found' });
+
+    const { data, error } = await supabase
+      .from('prompt_presets')
+      .insert({
+        slug: current.slug,
+        version: current.version + 1,
+        name: current.name,
+        description: current.description,
+        template: current.template,
+        variables: current.variables,
+        ...fields,
+        is_active: true,
+        created_by: req.adminUser.id,
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update preset' });
+  }
+});
+
+// Hides the preset from new chats; chats already using it keep their version
+app.delete('/api/admin/presets/:slug', requireAdmin, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('prompt_presets')
+      .update({ is_active: false })
+      .eq('slug', req.params.slug);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete preset' });
+  }
+});
+
+// ==================== USAGE ANALYTICS ====================
+
+const ANALYTICS_GROUPS = ['user', 'model', 'preset', 'day', 'week', 'month'];
+const USAGE_PAGE_SIZE = 1000;
+
+// ?from=&to= as ISO dates; a date-only `to` includes that whole day.
+// Defaults to the last 30 days.
+function parseDateRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCDate(to.getUTCDate() + 1);
+  }
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from and to must be valid dates' };
+  if (from >= to) return { error: 'from must be before to' };
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+// Start of the UTC day / ISO week (Monday) / month containing `timestamp`
+function periodKey(timestamp, groupBy) {
+  const date = new Date(timestamp);
+  if (groupBy === 'month') return date.toISOString().slice(0, 7);
+  if (groupBy === 'week') {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function emptyUsageTotals() {
+  return { requests: 0, input_tokens: 0, output_tokens: 0, base_cost_eur: 0, charged_eur: 0, margin_eur: 0 };
+}
+
+function addUsage(totals, row) {
+  const base = parseFloat(row.base_cost_eur) || 0;
+  const charged = parseFloat(row.charged_eur) || 0;
+  totals.requests += 1;
+  totals.input_tokens += row.input_tokens || 0;
+  totals.output_tokens += row.output_tokens || 0;
+  totals.base_cost_eur += base;
+  totals.charged_eur += charged;
+  totals.margin_eur += charged - base;
+}
+
+function presetKey(row) {
+  return row.preset_slug ? `${row.preset_slug}@${row.preset_version}` : 'default';
+}
+
+// Sums usage_logs rows per user, model, preset version or period. Periods
+// come back in chronological order, everything else by spend.
+//
+// Preset groups also get `chats` and `requests_per_chat`: generations per
+// chat is how the A/B comparison tells which template needs fewer retries.
+function aggregateUsage(rows, groupBy) {
+  const groups = new Map();
+  const totals = emptyUsageTotals();
+  const chats = new Map();
+
+  for (const row of rows) {
+    const key = groupBy === 'user'
+      ? row.user_id
+      : groupBy === 'model'
+        ? row.model
+        : groupBy === 'preset'
+          ? presetKey(row)
+          : periodKey(row.created_at, groupBy);
+
+    if (!groups.has(key)) groups.set(key, { key, ...emptyUsageTotals() });
+    addUsage(groups.get(key), row);
+    addUsage(totals, row);
+
+    if (groupBy === 'preset' && row.chat_id) {
+      if (!chats.has(key)) chats.set(key, { ids: new Set(), requests: 0 });
+      chats.get(key).ids.add(row.chat_id);
+      chats.get(key).requests += 1;
+    }
+  }
+
+  if (groupBy === 'preset') {
+    for (const group of groups.values()) {
+      const chat = chats.get(group.key);
+      group.chats = chat ? chat.ids.size : 0;
+      group.requests_per_chat = chat ? chat.requests / chat.ids.size : null;
+    }
+  }
+
+  const result = [...groups.values()];
+  if (['day', 'week', 'month'].includes(groupBy)) {
+    result.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  } else {
+    result.sort((a, b) => b.charged_eur - a.charged_eur);
+  }
+  return { rows: result, totals };
+}
+
+// Text that a spreadsheet would read as a formula (students control
+// prompt_preview) gets a leading ' so it opens as plain text. Real numbers,
+// negative amounts included, are left alone.
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(escape).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(col => escape(row[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function sendCsv(res, filename, rows, columns) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
+// Supabase caps a select at 1000 rows, so page through the range
+async function fetchUsageLogs({ from, to, userId, columns = '*' }) {
+  const rows = [];
+  for (let offset = 0; ; offset += USAGE_PAGE_SIZE) {
+    let query = supabase
+      .from('usage_logs')
+      .select(columns)
+      .gte('created_at', from)
+      .lt('created_at', to);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + USAGE_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < USAGE_PAGE_SIZE) return rows;
+  }
+}
+
+const USAGE_CSV_COLUMNS = ['key', 'requests', 'input_tokens', 'output_tokens', 'base_cost_eur', 'charged_eur', 'margin_eur'];
+
+app.get('/api/admin/analytics/usage', requireAdmin, async (req, res) => {
+  try {
+    const groupBy = req.query.group_by || 'day';
+    if (!ANALYTICS_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: 'group_by must be one of: ' + ANALYTICS_GROUPS.join(', ') });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const logs = await fetchUsageLogs({
+      ...range,
+      columns: 'user_id, model, chat_id, preset_slug, preset_version, input_tokens, output_tokens, base_cost_eur, charged_eur, created_at',
+    });
+    const { rows, totals } = aggregateUsage(logs, groupBy);
+
+    if (groupBy === 'user' && rows.length > 0) {
+      const { data: users } = await supabase
+        .from('users')
+        .select('id, email, first_name, last_name')
+        .in('id', rows.map(r => r.key));
+
+      const byId = new Map((users || []).map(u => [u.id, u]));
+      for (const row of rows) {
+        const user = byId.get(row.key);
+        row.email = user?.email || '';
+        row.name = user ? `${user.first_name} ${user.last_name}` : '';
+      }
+    }
+
+    if (req.query.format === 'csv') {
+      const columns = groupBy === 'user'
+        ? ['key', 'email', 'name', ...USAGE_CSV_COLUMNS.slice(1)]
+        : groupBy === 'preset'
+          ? [...USAGE_CSV_COLUMNS, 'chats', 'requests_per_chat']
+          : USAGE_CSV_COLUMNS;
+      return sendCsv(res, `usage-by-${groupBy}-${range.from.slice(0, 10)}.csv`, rows, columns);
+    }
+
+    res.json({ ...range, group_by: groupBy, totals, rows });
+  } catch (err) {
+    console.error('Usage analytics error:', err);
+    res.status(500).json({ error: 'Failed to fetch usage analytics' });
+  }
+});
+
+app.get('/api/admin/analytics/students/:userId', requireAdmin, async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, first_name, last_name, credits, total_spent')
+      .eq('id', req.params.userId)
+      .single();
+
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const logs = await fetchUsageLogs({ ...range, userId: user.id });
+    const byModel = aggregateUsage(logs, 'model');
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const recent = logs
+      .slice(-limit)
+      .reverse()
+      .map(log => ({
+        created_at: log.created_at,
+        model: log.model,
+        prompt_preview: log.prompt_preview,
+        input_tokens: log.input_tokens,
+        output_tokens: log.output_tokens,
+        charged_eur: log.charged_eur,
+      }));
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `usage-${user.id}-${range.from.slice(0, 10)}.csv`, logs, [
+        'created_at', 'model', 'input_tokens', 'output_tokens', 'base_cost_eur', 'charged_eur', 'prompt_preview',
+      ]);
+    }
+
+    res.json({
+      ...range,
+      user,
+      totals: byModel.totals,
+      by_model: byModel.rows,
+      by_day: aggregateUsage(logs, 'day').rows,
+      recent,
+    });
+  } catch (err) {
+    console.error('Student analytics error:', err);
+    res.status(500).json({ error: 'Failed to fetch student analytics' });
+  }
+});
+
+// ==================== SPENDING LIMITS ====================
+
+const LIMIT_PERIODS = ['day', 'month'];
+const DEFAULT_ALERT_THRESHOLDS = [80];
+
+// UTC start of the current day or month, and when it resets
+function periodBounds(period, now = new Date()) {
+  const start = period === 'month'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const end = period === 'month'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+function alertThresholds(settings) {
+  const thresholds = Array.isArray(settings.budget_alert_thresholds)
+    ? settings.budget_alert_thresholds
+    : DEFAULT_ALERT_THRESHOLDS;
+  return [...thresholds].sort((a, b) => a - b);
+}
+
+// Spend against each of the user's limits (optionally only those that apply
+// to `model`). A limit's model is '*' for all models.
+async function getBudgetStatus(userId, model = null) {
+  const { data: limits, error } = await supabase
+    .from('spending_limits')
+    .select('*')
+    .eq('user_id', userId);
+  if (error) throw error;
+
+  const applicable = (limits || []).filter(l => !model || l.model === '*' || l.model === model);
+  if (applicable.length === 0) return [];
+
+  // The month window always contains today's, so one fetch covers both.
+  // Holds of generations still running count too (held_eur), so parallel
+  // requests can't each pass the check and together overshoot the cap.
+  const month = periodBounds('month');
+  const [logs, holds] = await Promise.all([
+    fetchUsageLogs({
+      from: month.start,
+      to: month.end,
+      userId,
+      columns: 'model, charged_eur, created_at',
+    }),
+    openReservations(userId),
+  ]);
+
+  return applicable.map(limit => {
+    const { start, end } = periodBounds(limit.period);
+    const covers = (row) => row.created_at >= start && (limit.model === '*' || !row.model || row.model === limit.model);
+    const spent = logs
+      .filter(covers)
+      .reduce((sum, log) => sum + (parseFloat(log.charged_eur) || 0), 0);
+    const held = holds
+      .filter(covers)
+      .reduce((sum, hold) => sum + (parseFloat(hold.amount) || 0), 0);
+    const limitEUR = parseFloat(limit.limit_eur);
+
+    return {
+      id: limit.id,
+      model: limit.model,
+      period: limit.period,
+      limit_eur: limitEUR,
+      spent_eur: spent,
+      held_eur: held,
+      remaining_eur: Math.max(0, limitEUR - spent - held),
+      percent: limitEUR > 0 ? (spent / limitEUR) * 100 : 100,
+      resets_at: end,
+    };
+  });
+}
+
+// Limits at or past an alert threshold, tagged with the highest one crossed
+function budgetWarnings(status, settings) {
+  const thresholds = alertThresholds(settings);
+  const warnings = [];
+  for (const entry of status) {
+    if (entry.limit_eur <= 0) continue;
+    const crossed = thresholds.filter(t => entry.percent >= t);
+    if (crossed.length > 0) {
+      warnings.push({ ...entry, threshold: crossed[crossed.length - 1] });
+    }
+  }
+  return warnings;
+}
+
+app.get('/api/budget', requireAuth, async (req, res) => {
+  try {
+    const [status, settings] = await Promise.all([getBudgetStatus(req.user.id), getSettings()]);
+    res.json({ limits: status, warnings: budgetWarnings(status, settings) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch budget' });
+  }
+});
+
+app.get('/api/admin/students/:userId/limits', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getBudgetStatus(req.params.userId));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch spending limits' });
+  }
+});
+
+// Creates or replaces the limit for (user, model, period). limit_eur 0 blocks the model.
+app.put('/api/admin/students/:userId/limits', requireAdmin, async (req, res) => {
+  try {
+    const { model = '*', period, limit_eur } = req.body;
+    const limitEUR = Number(limit_eur);
+
+    if (!LIMIT_PERIODS.includes(period)) {
+      return res.status(400).json({ error: 'period must be day or month' });
+    }
+    if (!Number.isFinite(limitEUR) || limitEUR < 0) {
+      return res.status(400).json({ error: 'limit_eur must be a non-negative number' });
+    }
+
+    const { data, error } = await supabase
+      .from('spending_limits')
+      .upsert({
+        user_id: req.params.userId,
+        model,
+        period,
+        limit_eur: limitEUR,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'user_id,model,period' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save spending limit' });
+  }
+});
+
+app.delete('/api/admin/students/:userId/limits/:limitId', requireAdmin, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('spending_limits')
+      .delete()
+      .eq('id', req.params.limitId)
+      .eq('user_id', req.params.userId);
+
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete spending limit' });
+  }
+});
+
+// ==================== GENERATE (Claude API) ====================
+
+const SYSTEM_PROMPT = `You are Sparkk, an AI app builder. When the user describes what they want to build, generate a COMPLETE, self-contained HTML file with inline CSS and JavaScript.
+
+Rules:
+- Output ONLY the HTML code, nothing else — no markdown, no backticks, no explanation
+- Make it visually polished with modern CSS (gradients, shadows, animations)
+- Use a dark theme by default (#0a0a0a background, white text)
+- Make it fully responsive and interactive
+- Include all JavaScript inline in <script> tags
+- Include all CSS inline in <style> tags
+- The HTML must work standalone when opened in a browser
+- If the user asks to modify existing code, output the COMPLETE modified HTML file`;
+
+// Edit mode: Claude answers with search/replace blocks against the chat's
+// current code instead of the whole file
+const EDIT_SYSTEM_PROMPT = `You are Sparkk, an AI app builder. The user's message contains their current self-contained HTML file and the change they want.
+
+Rules:
+- Do NOT output the whole file. Output ONLY search/replace edits — no markdown, no backticks, no explanation
+- Write each edit exactly like this:
+<<<<<<< SEARCH
+lines copied exactly from the current file
+=======
+the lines that replace them
+>>>>>>> REPLACE
+- The SEARCH text must match the current file character for character and appear only once; include surrounding lines if needed to make it unique
+- Use as many edits as needed, in file order, and keep each one small
+- Keep the page's existing look and structure, with inline CSS and JavaScript`;
+
+// Edits are short; capping them keeps the edit attempt cheap to reserve
+const EDIT_MAX_TOKENS = 4000;
+
+const GENERATION_MODES = ['full', 'edit'];
+
+// Follow-up calls allowed to finish an output cut off at max_tokens
+const MAX_CONTINUATIONS = 2;
 
 function sendGenerateError(res, statusCode, errorMessage) {
   if (!res.headersSent) {
@@ -270,21 +1811,98 @@ function sendGenerateError(res, statusCode, errorMessage) {
   }
 }
 
+// Image blocks students can attach (screenshots, wireframes). The whole
+// request still has to fit the 10mb JSON body limit.
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Anthropic's per-image limit
+const MAX_IMAGES_PER_REQUEST = 5;
+const IMAGE_TOKEN_ESTIMATE = 1600; // upper end for an image scaled to fit the model's limits
+
+function isImageBlock(block) {
+  return block?.type === 'image' && block.source?.type === 'base64';
+}
+
+// Returns an error message for the first bad image in the request, or null
+function validateImages(messages) {
+  let count = 0;
+  for (const m of messages) {
+    if (!Array.isArray(m.content)) continue;
+    for (const block of m.content) {
+      if (block?.type !== 'image') continue;
+      if (m.role === 'assistant') return 'Images are only allowed in user messages';
+      if (!isImageBlock(block)) return 'Images must be sent as base64 sources';
+
+      const { media_type: mediaType, data } = block.source;
+      if (!IMAGE_MEDIA_TYPES.includes(mediaType)) {
+        return 'Unsupported image type: ' + mediaType + ' (use ' + IMAGE_MEDIA_TYPES.join(', ') + ')';
+      }
+      if (typeof data !== 'string' || !data || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+        return 'Image data must be base64';
+      }
+      if (Buffer.byteLength(data, 'base64') > MAX_IMAGE_BYTES) {
+        return `Images must be at most ${MAX_IMAGE_BYTES / 1024 / 1024}MB`;
+      }
+      if (++count > MAX_IMAGES_PER_REQUEST) {
+        return `At most ${MAX_IMAGES_PER_REQUEST} images per request`;
+      }
+    }
+  }
+  return null;
+}
+
+// Text of a message's content, whether a string or content blocks
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return responseText(content);
+  return String(content || '');
+}
+
+// Content blocks for a user turn: images first, then the text
+function userBlocks(content) {
+  const images = Array.isArray(content) ? content.filter(isImageBlock) : [];
+  const text = messageText(content);
+  return [
+    ...images.map(({ source }) => ({
+      type: 'image',
+      source: { type: 'base64', media_type: source.media_type, data: source.data },
+    })),
+    ...(text ? [{ type: 'text', text }] : []),
+  ];
+}
+
+// The same content with images swapped for a short placeholder, so stored
+// history (and token estimates) don't carry megabytes of base64
+function withoutImages(content) {
+  if (!Array.isArray(content) || !content.some(isImageBlock)) return content;
+  return content.map(block => (isImageBlock(block)
+    ? { type: 'text', text: `[image: ${block.source.media_type}]` }
+    : block));
+}
+
+// Merged user turns keep every image, with their texts joined into one block
+function mergeUserBlocks(first, second) {
+  const images = [...first, ...second].filter(isImageBlock);
+  const text = [...first, ...second].filter(b => b.type === 'text').map(b => b.text).join('\n\n');
+  return [...images, ...(text ? [{ type: 'text', text }] : [])];
+}
+
+// Content stays a string unless a user turn carries images, in which case
+// it becomes image blocks followed by one text block
 function sanitizeMessages(messages) {
   const cleaned = [];
   for (const m of messages) {
     const role = m.role === 'assistant' ? 'assistant' : 'user';
-    const content = typeof m.content === 'string'
-      ? m.content
-      : Array.isArray(m.content) && m.content.length > 0
-        ? (m.content[0].text || JSON.stringify(m.content))
-        : String(m.content || '');
-
-    if (cleaned.length > 0 && cleaned[cleaned.length - 1].role === role) {
-      if (role === 'user') {
-        cleaned[cleaned.length - 1].content += '\n\n' + content;
+    const hasImages = role === 'user' && Array.isArray(m.content) && m.content.some(isImageBlock);
+    const content = hasImages ? userBlocks(m.content) : messageText(m.content);
+
+    const previous = cleaned[cleaned.length - 1];
+    if (previous && previous.role === role) {
+      if (role === 'assistant') {
+        previous.content = content;
+      } else if (typeof previous.content === 'string' && typeof content === 'string') {
+        previous.content += '\n\n' + content;
       } else {
-        cleaned[cleaned.length - 1].content = content;
+        previous.content = mergeUserBlocks(userBlocks(previous.content), userBlocks(content));
       }
     } else {
       cleaned.push({ role, content });
@@ -298,128 +1916,724 @@ function sanitizeMessages(messages) {
   return cleaned;
 }
 
-async function generateHandler(req, res) {
+// chats.messages is stored as a JSON string
+function parseChatMessages(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function responseText(content) {
+  return (content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+// The HTML document from a response: the contents of a markdown fence if
+// the model used one, without any chatter before or after the document
+function extractHtml(text) {
+  let html = (text || '').trim();
+
+  if (!html.startsWith('<')) {
+    const fenced = /```[\w-]*[^\n]*\n([\s\S]*?)(?:```|$)/.exec(html);
+    if (fenced) html = fenced[1];
+  }
+
+  const start = html.search(/<!doctype html|<html[\s>]/i);
+  if (start > 0) html = html.slice(start);
+  const end = html.toLowerCase().lastIndexOf('</html>');
+  if (end !== -1) html = html.slice(0, end + '</html>'.length);
+
+  return html.trim();
+}
+
+function countMatches(text, re) {
+  return (text.match(re) || []).length;
+}
+
+// Structural checks on extracted HTML; returns [{ code, message }]
+function validateHtml(html, { truncated = false } = {}) {
+  const warnings = [];
+  const warn = (code, message) => warnings.push({ code, message });
+
+  if (truncated) warn('truncated', 'Output hit the token limit and is incomplete');
+  if (!html) {
+    warn('no_html', 'No HTML document found in the output');
+    return warnings;
+  }
+
+  if (!/^<!doctype html/i.test(html)) warn('missing_doctype', 'Missing <!DOCTYPE html>');
+  if (!/<html[\s>]/i.test(html) || !/<\/html>/i.test(html)) warn('missing_html', 'Missing <html> element');
+  if (!/<body[\s>]/i.test(html) || !/<\/body>/i.test(html)) warn('missing_body', 'Missing <body> element');
+  for (const tag of ['script', 'style']) {
+    const opened = countMatches(html, new RegExp(`<${tag}[\\s>]`, 'gi'));
+    const closed = countMatches(html, new RegExp(`</${tag}\\s*>`, 'gi'));
+    if (opened !== closed) warn(`unbalanced_${tag}`, `${opened} <${tag}> tags but ${closed} </${tag}>`);
+  }
+  return warnings;
+}
+
+// Normalized output fields added to generate responses and stream `done` events
+function htmlOutput(content, stopReason) {
+  const html = extractHtml(responseText(content));
+  return { html, warnings: validateHtml(html, { truncated: stopReason === 'max_tokens' }) };
+}
+
+// Appends the turn to the chat and creates its next version in one
+// database call (see record_chat_turn). Returns fields to merge into the
+// response; a failure here is reported but doesn't fail the paid generation.
+async function saveChatTurn(gen, content, usage) {
+  if (!gen.chat) return {};
+
+  const userTurn = gen.messages[gen.messages.length - 1];
   try {
-    const { userId, messages } = req.body;
-    let model = req.body.model;
+    const { data, error } = await supabase.rpc('record_chat_turn', {
+      p_chat_id: gen.chat.id,
+      p_user_message: { role: 'user', content: withoutImages(userTurn.content) },
+      p_assistant_message: { role: 'assistant', content: responseText(content) },
+      p_code: extractHtml(responseText(content)),
+      p_prompt: messageText(userTurn.content),
+      p_cost: usage.charged_eur,
+    });
+
+    if (error) throw error;
+    notifyChat(gen.chat.id, { type: 'chat.updated', chat_id: gen.chat.id, chat: data.chat });
+    notifyChat(gen.chat.id, { type: 'version.created', chat_id: gen.chat.id, version: data.version });
+    return { chat: data.chat, version: data.version };
+  } catch (err) {
+    console.error('Save chat turn error:', err);
+    return { chat_error: 'Failed to save chat' };
+  }
+}
+
+// Same framing the client uses when it sends the current page along
+function withCurrentCode(code, request) {
+  return `Here is my current web page code:\n\n${code}\n\nUser request: ${request}`;
+}
+
+const EDIT_BLOCK_RE = /<<<<<<< SEARCH\n([\s\S]*?)\n=======\n([\s\S]*?)>>>>>>> REPLACE/g;
+
+function parseEdits(text) {
+  return [...(text || '').matchAll(EDIT_BLOCK_RE)].map(([, search, replace]) => ({
+    search,
+    replace: replace.replace(/\n$/, ''),
+  }));
+}
+
+// Applies edits in order. Each search text has to occur exactly once, and the
+// result must still be an HTML document; returns { code } or { error }.
+function applyEdits(code, edits) {
+  if (edits.length === 0) return { error: 'No edits returned' };
+
+  let result = code;
+  for (const [index, { search, replace }] of edits.entries()) {
+    const at = result.indexOf(search);
+    if (!search || at === -1) return { error: `Edit ${index + 1}: search text not found` };
+    if (result.indexOf(search, at + 1) !== -1) return { error: `Edit ${index + 1}: search text is ambiguous` };
+    result = result.slice(0, at) + replace + result.slice(at + search.length);
+  }
+
+  if (!/<html[\s>]/i.test(result) || !/<\/html>/i.test(result)) {
+    return { error: 'Edited code is not a complete HTML document' };
+  }
+  return { code: result };
+}
+
+// Whole-file generation. With autoContinue, a response cut off at
+// max_tokens is resumed (up to MAX_CONTINUATIONS times) by prefilling the
+// text so far as the assistant turn.
+async function generateFull(gen, createMessage) {
+  let response = await createMessage({
+    max_tokens: gen.pricing.maxTokens,
+    system: gen.system,
+    messages: gen.cleanedMessages,
+  });
+
+  let text = responseText(response.content);
+  let continuations = 0;
+  while (gen.autoContinue && response.stop_reason === 'max_tokens' && continuations < MAX_CONTINUATIONS) {
+    // The API rejects a prefill ending in whitespace
+    text = text.trimEnd();
+    response = await createMessage({
+      max_tokens: gen.pricing.maxTokens,
+      system: gen.system,
+      messages: [...gen.cleanedMessages, { role: 'assistant', content: text }],
+    });
+    text += responseText(response.content);
+    continuations++;
+  }
+
+  return {
+    content: continuations > 0 ? [{ type: 'text', text }] : response.content,
+    stop_reason: response.stop_reason,
+    continuations,
+  };
+}
+
+// Asks for edits against the chat's current code and applies them. If they
+// don't apply cleanly the whole file is regenerated, so the caller always
+// ends up with the full resulting HTML.
+async function generateEdit(gen, createMessage) {
+  const response = await createMessage({
+    max_tokens: Math.min(EDIT_MAX_TOKENS, gen.pricing.maxTokens),
+    system: EDIT_SYSTEM_PROMPT,
+    messages: gen.cleanedMessages,
+  });
+
+  const edits = parseEdits(responseText(response.content));
+  const applied = response.stop_reason === 'max_tokens'
+    ? { error: 'Edit response was truncated' }
+    : applyEdits(gen.chat.generated_code, edits);
+
+  if (applied.code) {
+    return {
+      content: [{ type: 'text', text: applied.code }],
+      stop_reason: response.stop_reason,
+      edit: { mode: 'edit', edits_applied: edits.length },
+    };
+  }
+
+  gen.mode = 'edit_fallback';
+  return {
+    ...await generateFull(gen, createMessage),
+    edit: { mode: 'full', fallback_reason: applied.error },
+  };
+}
+
+// Rough token estimate (~4 chars per token) for text streamed before a disconnect
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Validates the request and loads the user. Sends the error response itself
+// and returns null when generation cannot go ahead.
+async function prepareGeneration(req, res) {
+  const { messages } = req.body;
+  const user = req.user;
+  let model = req.body.model;
+
+  if (!messages || !model) {
+    sendGenerateError(res, 400, 'Missing required fields');
+    return null;
+  }
+
+  const catalog = await loadModelCatalog();
+
+  // Resolve deprecated model aliases
+  if (catalog.aliases[model]) {
+    model = catalog.aliases[model];
+  }
+
+  // Snapshot the price now; it is what this call gets billed at
+  const pricing = catalog.pricing[model];
+  if (!pricing) {
+    console.error('Invalid model requested:', model);
+    sendGenerateError(res, 400, 'Invalid model: ' + model);
+    return null;
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    sendGenerateError(res, 400, 'Messages must be a non-empty array');
+    return null;
+  }
+
+  const imageError = validateImages(messages);
+  if (imageError) {
+    sendGenerateError(res, 400, imageError);
+    return null;
+  }
+
+  if (!user.email_verified && !user.is_admin) {
+    sendGenerateError(res, 403, 'Email not verified');
+    return null;
+  }
+
+  const requestedMode = req.body.mode || 'full';
+  if (!GENERATION_MODES.includes(requestedMode)) {
+    sendGenerateError(res, 400, 'Invalid mode: ' + requestedMode);
+    return null;
+  }
+
+  if (requestedMode === 'edit' && !req.body.chatId) {
+    sendGenerateError(res, 400, 'Edit mode requires a chatId');
+    return null;
+  }
+
+  // With a chatId the server owns the history: the stored conversation
+  // plus the new user turn (the last entry of `messages`)
+  let chat = null;
+  let history = messages;
+  if (req.body.chatId) {
+    const { data } = await supabase
+      .from('chats')
+      .select('*')
+      .eq('id', req.body.chatId)
+      .single();
 
-    if (!userId || !messages || !model) {
-      return sendGenerateError(res, 400, 'Missing required fields');
+    if (!data || data.user_id !== user.id) {
+      sendGenerateError(res, 404, 'Chat not found');
+      return null;
     }
 
-    // Resolve deprecated model aliases
-    if (MODEL_ALIASES[model]) {
-      model = MODEL_ALIASES[model];
+    chat = data;
+    history = [...parseChatMessages(chat.messages), messages[messages.length - 1]];
+  }
+
+  // Edit mode needs code to edit; a chat without any is generated in full
+  const request = history[history.length - 1].content;
+  const mode = requestedMode === 'edit' && chat.generated_code && typeof request === 'string'
+    ? 'edit'
+    : 'full';
+  if (mode === 'edit') {
+    history = [...history.slice(0, -1), { role: 'user', content: withCurrentCode(chat.generated_code, request) }];
+  }
+
+  // The chat's preset, at the version it recorded, or one picked for this call
+  let preset = null;
+  let presetValues = {};
+  if (chat?.preset_slug) {
+    preset = await findPreset(chat.preset_slug, chat.preset_version);
+    presetValues = chat.preset_variables || {};
+  } else if (req.body.preset) {
+    preset = await findPreset(req.body.preset);
+    if (!preset) {
+      sendGenerateError(res, 400, 'Unknown preset: ' + req.body.preset);
+      return null;
     }
 
-    if (!MODEL_PRICING[model]) {
-      console.error('Invalid model requested:', model);
-      return sendGenerateError(res, 400, 'Invalid model: ' + model);
+    const parsed = parsePresetValues(preset, req.body.presetVariables);
+    if (parsed.error) {
+      sendGenerateError(res, 400, parsed.error);
+      return null;
+    }
+    presetValues = parsed.values;
+  }
+  const system = preset ? renderPrompt(preset.template, preset.variables, presetValues) : SYSTEM_PROMPT;
+
+  const autoContinue = req.body.autoContinue === true;
+  const settings = await getSettings();
+  const cleanedMessages = sanitizeMessages(history);
+
+  // Reserve the worst-case cost up front so a call can never cost more
+  // than the student has. Admins are not limited by their balance or caps.
+  let reservation = null;
+  if (!user.is_admin) {
+    const inputTokens = await countInputTokens(model, cleanedMessages, system);
+    let estimatedCost = estimateMaxCost(inputTokens, model, settings, pricing);
+
+    // An edit attempt that doesn't apply is followed by a full generation
+    if (mode === 'edit') {
+      const editTokens = Math.min(EDIT_MAX_TOKENS, pricing.maxTokens);
+      estimatedCost += calculateCost(0, editTokens, model, settings, pricing, { write: inputTokens }).chargedEUR;
     }
 
-    if (!Array.isArray(messages) || messages.length === 0) {
-      return sendGenerateError(res, 400, 'Messages must be a non-empty array');
+    // Each continuation resends the prompt plus everything generated so far
+    if (autoContinue) {
+      for (let n = 1; n <= MAX_CONTINUATIONS; n++) {
+        const continuationInput = inputTokens + n * pricing.maxTokens;
+        estimatedCost += estimateMaxCost(continuationInput, model, settings, pricing);
+      }
     }
 
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', userId)
-      .single();
+    const budget = await getBudgetStatus(user.id, model);
+    if (budget.some(b => b.model === model && b.limit_eur === 0)) {
+      sendGenerateError(res, 403, 'Model not allowed: ' + model);
+      return null;
+    }
 
-    if (!user) return sendGenerateError(res, 404, 'User not found');
+    const capReached = (exceeded) => {
+      if (!res.headersSent) {
+        res.status(402).json({
+          error: `${exceeded.period === 'day' ? 'Daily' : 'Monthly'} spending limit reached`,
+          estimated_cost_eur: estimatedCost,
+          limit: exceeded,
+        });
+      }
+      return null;
+    };
 
-    if (parseFloat(user.credits) < 0.01 && !user.is_admin) {
-      return sendGenerateError(res, 402, 'Insufficient credits');
+    const exceeded = budget.find(b => b.spent_eur + b.held_eur + estimatedCost > b.limit_eur);
+    if (exceeded) return capReached(exceeded);
+
+    reservation = await reserveCredits(user.id, estimatedCost, model);
+    if (!reservation) {
+      if (!res.headersSent) {
+        const held = (await openReservations(user.id)).reduce((sum, r) => sum + parseFloat(r.amount), 0);
+        res.status(402).json({
+          error: 'Insufficient credits',
+          estimated_cost_eur: estimatedCost,
+          available_credits: Math.max(0, parseFloat(user.credits) - held),
+        });
+      }
+      return null;
     }
 
-    const settings = await getSettings();
-    const cleanedMessages = sanitizeMessages(messages);
-
-    const systemPrompt = `You are Sparkk, an AI app builder. When the user describes what they want to build, generate a COMPLETE, self-contained HTML file with inline CSS and JavaScript.
+    // Check again with this hold in place: a request that raced past the
+    // first check now sees the other's hold, and one of them backs off
+    if (budget.length > 0) {
+      let overCap;
+      try {
+        overCap = (await getBudgetStatus(user.id, model)).find(b => b.spent_eur + b.held_eur > b.limit_eur);
+      } catch (err) {
+        await releaseReservation(reservation);
+        throw err;
+      }
+      if (overCap) {
+        await releaseReservation(reservation);
+        return capReached(overCap);
+      }
+    }
+  }
 
-Rules:
-- Output ONLY the HTML code, nothing else — no markdown, no backticks, no explanation
-- Make it visually polished with modern CSS (gradients, shadows, animations)
-- Use a dark theme by default (#0a0a0a background, white text)
-- Make it fully responsive and interactive
-- Include all JavaScript inline in <script> tags
-- Include all CSS inline in <style> tags
-- The HTML must work standalone when opened in a browser
-- If the user asks to modify existing code, output the COMPLETE modified HTML file`;
+  // A preset picked on a chat's first turn stays with the chat (as when
+  // picked through POST /api/chats), so later turns use the same version
+  if (chat && !chat.preset_slug && preset) {
+    const pinned = { preset_slug: preset.slug, preset_version: preset.version, preset_variables: presetValues };
+    const { error } = await supabase
+      .from('chats')
+      .update(pinned)
+      .eq('id', chat.id)
+      .is('preset_slug', null);
+    if (error) {
+      await abandonGeneration({ reservation });
+      throw error;
+    }
+    chat = { ...chat, ...pinned };
+  }
 
-    const response = await anthropic.messages.create({
-      model: model,
-      max_tokens: 16000,
-      system: systemPrompt,
+  return {
+    user,
+    model,
+    pricing,
+    messages,
+    settings,
+    cleanedMessages,
+    reservation,
+    chat,
+    mode,
+    autoContinue,
+    system,
+    preset: preset && { slug: preset.slug, version: preset.version },
+  };
+}
+
+// Input token count for the request, falling back to a local estimate
+// if the counting endpoint is unavailable
+async function countInputTokens(model, cleanedMessages, system = SYSTEM_PROMPT) {
+  try {
+    const { input_tokens } = await anthropic.messages.countTokens({
+      model,
+      system,
       messages: cleanedMessages,
     });
+    return input_tokens;
+  } catch (err) {
+    console.error('Token count error:', err?.message || err);
+    const images = cleanedMessages.flatMap(m => (Array.isArray(m.content) ? m.content.filter(isImageBlock) : []));
+    const text = JSON.stringify(cleanedMessages.map(m => ({ ...m, content: withoutImages(m.content) })));
+    return estimateTokens(system + text) + images.length * IMAGE_TOKEN_ESTIMATE;
+  }
+}
 
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
-    const content = response.content;
+// Worst case: the whole prompt is written to the cache and every allowed
+// output token gets used
+function estimateMaxCost(inputTokens, model, settings, pricing = getModelPricing(model)) {
+  const maxTokens = pricing?.maxTokens || MAX_OUTPUT_TOKENS;
+  return calculateCost(0, maxTokens, model, settings, pricing, { write: inputTokens }).chargedEUR;
+}
 
-    const { baseCostEUR, chargedEUR } = calculateCost(
-      inputTokens,
-      outputTokens,
-      model,
-      settings
-    );
+// Prompt caching: the system prompt and everything up to the newest user
+// turn are marked cacheable. On the next turn that prefix (previous HTML
+// outputs included) is read from the cache at a fraction of the input price.
+function withPromptCaching({ system, messages, ...params }) {
+  const CACHE = { type: 'ephemeral' };
+  const lastUser = messages.map(m => m.role).lastIndexOf('user');
+
+  return {
+    ...params,
+    system: [{ type: 'text', text: system, cache_control: CACHE }],
+    messages: messages.map((m, i) => {
+      if (i !== lastUser) return m;
+      const blocks = typeof m.content === 'string' ? [{ type: 'text', text: m.content }] : m.content;
+      return {
+        ...m,
+        content: blocks.map((b, j) => (j === blocks.length - 1 ? { ...b, cache_control: CACHE } : b)),
+      };
+    }),
+  };
+}
 
-    const newCredits = Math.max(0, parseFloat(user.credits) - chargedEUR);
-    await supabase
-      .from('users')
-      .update({ credits: newCredits })
-      .eq('id', userId);
+// Usage fields (Anthropic's names) summed over several calls
+function sumUsage(usages) {
+  const total = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+  for (const usage of usages) {
+    for (const key of Object.keys(total)) total[key] += usage?.[key] || 0;
+  }
+  return total;
+}
 
-    await supabase.rpc('increment_spent', {
-      user_id: userId,
-      amount: chargedEUR,
-    });
+function cacheTokensOf(usage) {
+  return { write: usage?.cache_creation_input_tokens || 0, read: usage?.cache_read_input_tokens || 0 };
+}
 
-    const lastContent = messages[messages.length - 1]?.content;
-    const promptPreview = typeof lastContent === 'string'
-      ? lastContent.slice(0, 100)
-      : '';
+// Frees the hold when a call fails before anything is charged
+async function abandonGeneration(gen) {
+  if (!gen?.reservation) return;
+  try {
+    await releaseReservation(gen.reservation);
+  } catch (err) {
+    console.error('Release reservation error:', err);
+  }
+}
 
-    await supabase.from('usage_logs').insert({
-      user_id: userId,
+// Charges the user for a finished (or aborted) call and writes the usage log
+async function settleGeneration(gen, inputTokens, outputTokens, cacheTokens = {}) {
+  const { user, model, pricing, messages, settings } = gen;
+  const { write = 0, read = 0 } = cacheTokens;
+
+  const { baseCostEUR, chargedEUR } = calculateCost(
+    inputTokens,
+    outputTokens,
+    model,
+    settings,
+    pricing,
+    { write, read }
+  );
+
+  const promptPreview = messageText(messages[messages.length - 1]?.content).slice(0, 100);
+
+  const { data: log } = await supabase
+    .from('usage_logs')
+    .insert({
+      user_id: user.id,
       model,
       input_tokens: inputTokens,
       output_tokens: outputTokens,
       base_cost_eur: baseCostEUR,
       charged_eur: chargedEUR,
+      cache_creation_input_tokens: write,
+      cache_read_input_tokens: read,
+      input_price_usd: pricing.input,
+      output_price_usd: pricing.output,
+      cache_write_price_usd: cacheWritePrice(pricing),
+      cache_read_price_usd: cacheReadPrice(pricing),
       prompt_preview: promptPreview,
+      generation_mode: gen.mode,
+      chat_id: gen.chat?.id || null,
+      preset_slug: gen.preset?.slug || null,
+      preset_version: gen.preset?.version || null,
+    })
+    .select('id')
+    .single();
+
+  const cached = write || read ? ` (+${write} cache write / ${read} cache read)` : '';
+  const description = `${pricing.label}: ${inputTokens} in / ${outputTokens} out${cached}`;
+  const transaction = gen.reservation
+    ? await settleReservation(gen.reservation, chargedEUR, description, log?.id || null)
+    : await applyCreditTransaction({
+      userId: user.id,
+      type: 'generation_charge',
+      amount: -chargedEUR,
+      description,
+      referenceId: log?.id || null,
     });
 
+  // Let students know once they pass an alert threshold on any cap
+  const budget = user.is_admin ? [] : await getBudgetStatus(user.id, model);
+
+  return {
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    cache_creation_input_tokens: write,
+    cache_read_input_tokens: read,
+    base_cost_eur: baseCostEUR,
+    charged_eur: chargedEUR,
+    remaining_credits: transaction.balance_after,
+    budget_warnings: budgetWarnings(budget, settings),
+  };
+}
+
+async function generateHandler(req, res) {
+  let gen;
+  try {
+    gen = await prepareGeneration(req, res);
+    if (!gen) return;
+    notifyGeneration(gen, 'started', { model: gen.model, mode: gen.mode });
+
+    // Edit mode and continuations take extra calls; every completed one is billed
+    const calls = [];
+    const createMessage = async (params) => {
+      const response = await anthropic.messages.create(withPromptCaching({ model: gen.model, ...params }));
+      calls.push(response.usage);
+      return response;
+    };
+    const settle = () => {
+      const total = sumUsage(calls);
+      return settleGeneration(gen, total.input_tokens, total.output_tokens, cacheTokensOf(total));
+    };
+
+    let result;
+    try {
+      result = gen.mode === 'edit'
+        ? await generateEdit(gen, createMessage)
+        : await generateFull(gen, createMessage);
+    } catch (err) {
+      if (calls.length > 0) {
+        await settle();
+      } else {
+        await abandonGeneration(gen);
+      }
+      throw err;
+    }
+
+    const usage = await settle();
+    const saved = await saveChatTurn(gen, result.content, usage);
+    notifyGeneration(gen, 'completed', { stop_reason: result.stop_reason, usage });
+
     res.json({
-      content: content,
-      usage: {
-        input_tokens: inputTokens,
-        output_tokens: outputTokens,
-        base_cost_eur: baseCostEUR,
-        charged_eur: chargedEUR,
-        remaining_credits: newCredits,
-      },
+      content: result.content,
+      stop_reason: result.stop_reason,
+      ...htmlOutput(result.content, result.stop_reason),
+      ...(result.continuations > 0 && { continuations: result.continuations }),
+      usage,
+      ...(result.edit && { edit: result.edit }),
+      ...saved,
     });
   } catch (err) {
     console.error('Generate error:', err);
     const message = err?.error?.message || err?.message || 'Generation failed';
+    if (gen) notifyGeneration(gen, 'failed', { error: message });
     sendGenerateError(res, 500, message);
   }
 }
 
-app.post('/api/generate', generateHandler);
-app.post('/api/stream', generateHandler);
+// ==================== STREAM (Server-Sent Events) ====================
+
+function sendEvent(res, event, data) {
+  if (!res.writableEnded) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+async function streamHandler(req, res) {
+  if (req.body.mode === 'edit' || req.body.autoContinue) {
+    return sendGenerateError(res, 400, 'Edit mode and autoContinue are only available on /api/generate');
+  }
+
+  let gen;
+  try {
+    gen = await prepareGeneration(req, res);
+    if (!gen) return;
+  } catch (err) {
+    console.error('Stream error:', err);
+    return sendGenerateError(res, 500, 'Generation failed');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  notifyGeneration(gen, 'started', { model: gen.model, mode: 'full' });
+
+  const stream = anthropic.messages.stream(withPromptCaching({
+    model: gen.model,
+    max_tokens: gen.pricing.maxTokens,
+    system: gen.system,
+    messages: gen.cleanedMessages,
+  }));
+
+  let streamedText = '';
+  let clientGone = false;
+  let lastProgressAt = 0;
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      stream.abort();
+    }
+  });
+
+  stream.on('text', (delta) => {
+    streamedText += delta;
+    sendEvent(res, 'delta', { text: delta });
+
+    // Other tabs only need to know it's moving, not every token
+    const now = Date.now();
+    if (now - lastProgressAt >= WS_PROGRESS_INTERVAL_MS) {
+      lastProgressAt = now;
+      notifyGeneration(gen, 'progress', { output_chars: streamedText.length });
+    }
+  });
+
+  try {
+    const message = await stream.finalMessage();
+    const usage = await settleGeneration(
+      gen,
+      message.usage.input_tokens,
+      message.usage.output_tokens,
+      cacheTokensOf(message.usage)
+    );
+    const saved = await saveChatTurn(gen, message.content, usage);
+    notifyGeneration(gen, 'completed', { stop_reason: message.stop_reason, usage });
+
+    sendEvent(res, 'done', {
+      stop_reason: message.stop_reason,
+      ...htmlOutput(message.content, message.stop_reason),
+      usage,
+      ...saved,
+    });
+    res.end();
+  } catch (err) {
+    if (clientGone) {
+      // Client disconnected midway — charge for what was produced so far
+      const snapshot = stream.currentMessage;
+      const inputTokens = snapshot?.usage?.input_tokens || 0;
+      const outputTokens = Math.max(
+        snapshot?.usage?.output_tokens || 0,
+        estimateTokens(streamedText)
+      );
+
+      if (inputTokens > 0 || outputTokens > 0) {
+        try {
+          await settleGeneration(gen, inputTokens, outputTokens, cacheTokensOf(snapshot?.usage));
+        } catch (settleErr) {
+          console.error('Partial charge error:', settleErr);
+        }
+      } else {
+        await abandonGeneration(gen);
+      }
+      notifyGeneration(gen, 'failed', { error: 'Client disconnected' });
+      return;
+    }
+
+    await abandonGeneration(gen);
+    console.error('Stream error:', err);
+    const message = err?.error?.message || err?.message || 'Generation failed';
+    notifyGeneration(gen, 'failed', { error: message });
+    sendEvent(res, 'error', { error: message });
+    res.end();
+  }
+}
+
+app.post('/api/generate', limitGenerateByIp, requireAuth, limitGenerateByUser, generateHandler);
+app.post('/api/stream', limitGenerateByIp, requireAuth, limitGenerateByUser, streamHandler);
 
 // ==================== CHAT HISTORY ROUTES ====================
 
-app.get('/api/chats/:userId', async (req, res) => {
+app.get('/api/chats', requireAuth, async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('chats')
       .select('id, title, model, message_count, total_cost, updated_at, created_at')
-      .eq('user_id', req.params.userId)
+      .eq('user_id', req.user.id)
       .order('updated_at', { ascending: false });
 
     if (error) throw error;
@@ -429,27 +2643,36 @@ app.get('/api/chats/:userId', async (req, res) => {
   }
 });
 
-app.get('/api/chat/:chatId', async (req, res) => {
+// Loads a chat the caller may see: their own, or any chat for admins.
+// Anything else comes back null so routes answer 404 without revealing
+// whether the chat exists.
+async function findAccessibleChat(chatId, user) {
+  const { data: chat } = await supabase
+    .from('chats')
+    .select('*')
+    .eq('id', chatId)
+    .single();
+
+  if (!chat || (chat.user_id !== user.id && !user.is_admin)) return null;
+  return chat;
+}
+
+app.get('/api/chat/:chatId', requireAuth, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('chats')
-      .select('*')
-      .eq('id', req.params.chatId)
-      .single();
+    const chat = await findAccessibleChat(req.params.chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
 
-    if (error) throw error;
-    res.json(data);
+    res.json(chat);
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch chat' });
   }
 });
 
-app.post('/api/chats', async (req, res) => {
+app.post('/api/chats', requireAuth, async (req, res) => {
   try {
-    const { id, userId, title, model, messages, generatedCode, totalCost, messageCount } = req.body;
+    const { id, title, model, messages, generatedCode, totalCost, messageCount } = req.body;
 
     const chatData = {
-      user_id: userId,
       title,
       model,
       messages: typeof messages === 'string' ? messages : JSON.stringify(messages),
@@ -459,7 +2682,28 @@ app.post('/api/chats', async (req, res) => {
       updated_at: new Date().toISOString(),
     };
 
+    // Picking a preset pins its current version to the chat; null clears it
+    if (req.body.preset === null) {
+      Object.assign(chatData, { preset_slug: null, preset_version: null, preset_variables: {} });
+    } else if (req.body.preset !== undefined) {
+      const preset = await findPreset(req.body.preset);
+      if (!preset) return res.status(400).json({ error: 'Unknown preset: ' + req.body.preset });
+
+      const parsed = parsePresetValues(preset, req.body.presetVariables);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      Object.assign(chatData, {
+        preset_slug: preset.slug,
+        preset_version: preset.version,
+        preset_variables: parsed.values,
+      });
+    }
+
     if (id) {
+      // An admin editing a student's chat leaves it owned by the student
+      const chat = await findAccessibleChat(id, req.user);
+      if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
       const { data, error } = await supabase
         .from('chats')
         .update(chatData)
@@ -468,76 +2712,686 @@ app.post('/api/chats', async (req, res) => {
         .single();
 
       if (error) throw error;
+      notifyChat(data.id, { type: 'chat.updated', chat_id: data.id, chat: data });
       res.json(data);
     } else {
       const { data, error } = await supabase
         .from('chats')
-        .insert(chatData)
+        .insert({ user_id: req.user.id, ...chatData })
+        .select()
+        .single();
+
+      if (error) throw error;
+      notifyUser(req.user.id, { type: 'chat.created', chat_id: data.id, chat: data });
+      res.json(data);
+    }
+  } catch (err) {
+    console.error('Save chat error:', err);
+    res.status(500).json({ error: 'Failed to save chat' });
+  }
+});
+
+app.delete('/api/chat/:chatId', requireAuth, async (req, res) => {
+  try {
+    const chat = await findAccessibleChat(req.params.chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    await supabase.from('versions').delete().eq('chat_id', chat.id);
+
+    const { error } = await supabase
+      .from('chats')
+      .delete()
+      .eq('id', chat.id);
+
+    if (error) throw error;
+    notifyChat(chat.id, { type: 'chat.deleted', chat_id: chat.id });
+    closeChatChannel(chat.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete chat' });
+  }
+});
+
+// ==================== VERSION HISTORY ROUTES ====================
+
+// The LCS table takes 4 bytes per pair of differing lines (40 MB here)
+const DIFF_MAX_CELLS = 10 * 1000 * 1000;
+
+// Line-based diff as a list of { op: ' ' | '-' | '+', line }. Common
+// leading/trailing lines are peeled off before the LCS table so small edits
+// to a large page stay cheap. Returns null when the differing parts are
+// too large to compare (more than DIFF_MAX_CELLS line pairs).
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > DIFF_MAX_CELLS) return null;
+
+  // lcs[i][j] = length of the LCS of a[start + i..endA) and b[start + j..endB)
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ op: ' ', line: a[start + i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: '-', line: a[start + i++] });
+    } else {
+      ops.push({ op: '+', line: b[start + j++] });
+    }
+  }
+  return ops.concat(a.slice(endA).map(line => ({ op: ' ', line })));
+}
+
+// Unified diff (as produced by `diff -u`) with `context` lines around each
+// change, or null when the texts are too large to diff
+function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(oldText, newText);
+  if (!ops) return null;
+  const changed = ops.map((o, idx) => (o.op === ' ' ? -1 : idx)).filter(idx => idx >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows overlap into hunks
+  const ranges = [];
+  for (const idx of changed) {
+    const from = Math.max(0, idx - context);
+    const to = Math.min(ops.length, idx + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to) last.to = to;
+    else ranges.push({ from, to });
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let pos = 0;
+  for (const { from, to } of ranges) {
+    for (; pos < from; pos++) {
+      oldLine++;
+      newLine++;
+    }
+    const body = ops.slice(from, to);
+    const oldCount = body.filter(o => o.op !== '+').length;
+    const newCount = body.filter(o => o.op !== '-').length;
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    for (const o of body) {
+      lines.push(o.op + o.line);
+      if (o.op !== '+') oldLine++;
+      if (o.op !== '-') newLine++;
+    }
+    pos = to;
+  }
+  return lines.join('\n') + '\n';
+}
+
+app.get('/api/versions/:chatId', requireAuth, async (req, res) => {
+  try {
+    const chat = await findAccessibleChat(req.params.chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    const { data, error } = await supabase
+      .from('versions')
+      .select('*')
+      .eq('chat_id', chat.id)
+      .order('version_number', { ascending: true });
+
+    if (error) throw error;
+    res.json(data || []);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch versions' });
+  }
+});
+
+// Saves code as the chat's next version. The number is assigned here; a
+// versionNumber sent by older clients is ignored.
+app.post('/api/versions', requireAuth, async (req, res) => {
+  try {
+    const { chatId, code, prompt } = req.body;
+
+    const chat = await findAccessibleChat(chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    const { data, error } = await supabase.rpc('append_chat_version', {
+      p_chat_id: chat.id,
+      p_code: code,
+      p_prompt: prompt,
+    });
+
+    if (error) throw error;
+    notifyChat(chat.id, { type: 'version.created', chat_id: chat.id, version: data });
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save version' });
+  }
+});
+
+app.get('/api/versions/:chatId/diff', requireAuth, async (req, res) => {
+  try {
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be version numbers' });
+    }
+
+    const chat = await findAccessibleChat(req.params.chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    const { data, error } = await supabase
+      .from('versions')
+      .select('version_number, code')
+      .eq('chat_id', chat.id)
+      .in('version_number', [from, to]);
+
+    if (error) throw error;
+
+    const older = (data || []).find(v => v.version_number === from);
+    const newer = (data || []).find(v => v.version_number === to);
+    if (!older || !newer) return res.status(404).json({ error: 'Version not found' });
+
+    const diff = unifiedDiff(older.code, newer.code, { oldLabel: `v${from}`, newLabel: `v${to}` });
+    if (diff === null) return res.status(422).json({ error: 'Versions are too large to diff' });
+
+    res.json({ chat_id: chat.id, from, to, diff });
+  } catch (err) {
+    console.error('Version diff error:', err);
+    res.status(500).json({ error: 'Failed to diff versions' });
+  }
+});
+
+// Restoring never rewrites history: the old code is copied into a new
+// version (see restore_chat_version) that becomes the chat's current code
+app.post('/api/versions/:chatId/restore', requireAuth, async (req, res) => {
+  try {
+    const versionNumber = Number(req.body.versionNumber);
+    if (!Number.isInteger(versionNumber)) {
+      return res.status(400).json({ error: 'versionNumber is required' });
+    }
+
+    const chat = await findAccessibleChat(req.params.chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    const { data, error } = await supabase.rpc('restore_chat_version', {
+      p_chat_id: chat.id,
+      p_version_number: versionNumber,
+    });
+
+    if (error?.code === 'P0002') return res.status(404).json({ error: 'Version not found' });
+    if (error) throw error;
+    notifyChat(chat.id, { type: 'version.created', chat_id: chat.id, version: data });
+    res.status(201).json(data);
+  } catch (err) {
+    console.error('Version restore error:', err);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+// ==================== CHAT EXPORT / IMPORT ====================
+
+// Minimal zip support (deflate, no zip64) for chat archives
+const ZIP_MAX_ENTRIES = 1000;
+const ZIP_MAX_BYTES = 50 * 1024 * 1024; // uncompressed, across all entries
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// files: [{ name, data }] with data a string or Buffer
+function createZip(files, modified = new Date()) {
+  const { time, date } = dosDateTime(modified);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data || '', 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// Returns [{ name, data }]; throws on anything that isn't a well-formed
+// archive within the size limits
+function readZip(buf) {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a zip archive');
+
+  const count = buf.readUInt16LE(end + 10);
+  if (count > ZIP_MAX_ENTRIES) throw new Error('Too many entries');
+
+  const entries = [];
+  let total = 0;
+  let pos = buf.readUInt32LE(end + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt central directory');
+    const method = buf.readUInt16LE(pos + 10);
+    const crc = buf.readUInt32LE(pos + 16);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const size = buf.readUInt32LE(pos + 24);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const localOffset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    total += size;
+    if (total > ZIP_MAX_BYTES) throw new Error('Archive too large');
+    if (name.endsWith('/')) continue;
+
+    if (buf.readUInt32LE(localOffset) !== 0x04034b50) throw new Error('Corrupt local header');
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`Unsupported compression method ${method}`);
+
+    if (data.length !== size || crc32(data) !== crc) throw new Error(`Corrupt entry ${name}`);
+    entries.push({ name, data });
+  }
+  return entries;
+}
+
+const CHAT_ARCHIVE_FORMAT = 'sparkk-chat';
+
+function transcriptMarkdown(chat, messages) {
+  const lines = [`# ${chat.title || 'Untitled chat'}`, '', `_Model: ${chat.model || 'unknown'}_`];
+  for (const m of messages) {
+    lines.push('', `## ${m.role === 'assistant' ? 'Assistant' : 'User'}`, '', messageText(m.content));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function buildChatArchive(chat, versions) {
+  const messages = parseChatMessages(chat.messages);
+  const manifest = {
+    format: CHAT_ARCHIVE_FORMAT,
+    format_version: 1,
+    title: chat.title,
+    model: chat.model,
+    exported_at: new Date().toISOString(),
+    versions: versions.map(v => ({
+      version_number: v.version_number,
+      prompt: v.prompt || null,
+      created_at: v.created_at || null,
+    })),
+  };
+
+  return createZip([
+    { name: 'chat.json', data: JSON.stringify(manifest, null, 2) },
+    { name: 'index.html', data: chat.generated_code || '' },
+    ...versions.map(v => ({ name: `versions/v${v.version_number}.html`, data: v.code || '' })),
+    { name: 'transcript.md', data: transcriptMarkdown(chat, messages) },
+    { name: 'transcript.json', data: JSON.stringify(messages, null, 2) },
+  ]);
+}
+
+// The chat turns stored in chats.messages: a role and text or content blocks
+function isTranscriptMessage(message) {
+  return ['user', 'assistant'].includes(message?.role) &&
+    (typeof message.content === 'string' ||
+      (Array.isArray(message.content) && message.content.every(block => typeof block?.type === 'string')));
+}
+
+// Reads an archive produced by buildChatArchive; returns the chat's fields
+// or { error }
+function parseChatArchive(buf) {
+  let files;
+  try {
+    files = new Map(readZip(buf).map(f => [f.name, f.data.toString('utf8')]));
+  } catch (err) {
+    return { error: 'Invalid zip archive' };
+  }
+
+  let manifest;
+  let messages;
+  try {
+    manifest = JSON.parse(files.get('chat.json'));
+    messages = JSON.parse(files.get('transcript.json') || '[]');
+  } catch (err) {
+    return { error: 'Invalid export archive' };
+  }
+
+  if (manifest?.format !== CHAT_ARCHIVE_FORMAT || !Array.isArray(manifest.versions) || !Array.isArray(messages)) {
+    return { error: 'Invalid export archive' };
+  }
+  if (!messages.every(isTranscriptMessage)) {
+    return { error: 'Invalid transcript' };
+  }
+
+  const versions = [];
+  for (const v of manifest.versions) {
+    const code = files.get(`versions/v${v?.version_number}.html`);
+    if (!Number.isInteger(v?.version_number) || code === undefined) {
+      return { error: `Missing code for version ${v?.version_number}` };
+    }
+    if (versions.some(seen => seen.version_number === v.version_number)) {
+      return { error: `Duplicate version ${v.version_number}` };
+    }
+    versions.push({ version_number: v.version_number, prompt: v.prompt || null, code });
+  }
+
+  return {
+    title: manifest.title || 'Imported chat',
+    model: manifest.model || null,
+    messages,
+    generatedCode: files.get('index.html') ?? versions[versions.length - 1]?.code ?? '',
+    versions,
+  };
+}
+
+function archiveFilename(title) {
+  const base = (title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${base || 'chat'}.zip`;
+}
+
+app.get('/api/chat/:chatId/export', requireAuth, async (req, res) => {
+  try {
+    const chat = await findAccessibleChat(req.params.chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    const { data: versions, error } = await supabase
+      .from('versions')
+      .select('*')
+      .eq('chat_id', chat.id)
+      .order('version_number', { ascending: true });
+
+    if (error) throw error;
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${archiveFilename(chat.title)}"`,
+    });
+    res.send(buildChatArchive(chat, versions || []));
+  } catch (err) {
+    console.error('Export chat error:', err);
+    res.status(500).json({ error: 'Failed to export chat' });
+  }
+});
+
+// Recreates an exported chat, with its versions, for the caller. The raw
+// archive is the request body.
+app.post(
+  '/api/chats/import',
+  requireAuth,
+  express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '25mb' }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Expected a zip archive' });
+      }
+
+      const archive = parseChatArchive(req.body);
+      if (archive.error) return res.status(400).json({ error: archive.error });
+
+      const { data: chat, error } = await supabase
+        .from('chats')
+        .insert({
+          user_id: req.user.id,
+          title: archive.title,
+          model: archive.model,
+          messages: JSON.stringify(archive.messages),
+          generated_code: archive.generatedCode,
+          total_cost: 0,
+          message_count: archive.messages.length,
+          updated_at: new Date().toISOString(),
+        })
         .select()
         .single();
 
-      if (error) throw error;
-      res.json(data);
+      if (error) throw error;
+
+      if (archive.versions.length > 0) {
+        const { error: versionError } = await supabase
+          .from('versions')
+          .insert(archive.versions.map(v => ({ ...v, chat_id: chat.id, user_id: req.user.id })));
+
+        if (versionError) {
+          await supabase.from('chats').delete().eq('id', chat.id);
+          throw versionError;
+        }
+      }
+
+      notifyUser(req.user.id, { type: 'chat.created', chat_id: chat.id, chat });
+      res.status(201).json({ ...chat, versions_imported: archive.versions.length });
+    } catch (err) {
+      console.error('Import chat error:', err);
+      res.status(500).json({ error: 'Failed to import chat' });
     }
-  } catch (err) {
-    console.error('Save chat error:', err);
-    res.status(500).json({ error: 'Failed to save chat' });
   }
-});
+);
+
+// ==================== PUBLIC SHARES ====================
+
+// Shared pages are untrusted student code served from our origin, so they
+// run in a CSP sandbox: an opaque origin with no access to our cookies or
+// storage, no network access and no framing by other sites
+const SHARE_CSP = [
+  'sandbox allow-scripts allow-forms allow-modals allow-popups',
+  "default-src 'none'",
+  "script-src 'unsafe-inline'",
+  "style-src 'unsafe-inline' https://fonts.googleapis.com",
+  'font-src https://fonts.gstatic.com',
+  'img-src data: blob: https:',
+  'media-src data: blob: https:',
+  "connect-src 'none'",
+  "form-action 'none'",
+  "base-uri 'none'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+function shareUrl(req, slug) {
+  const base = process.env.SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/p/${slug}`;
+}
+
+function toShareResponse(req, share) {
+  return { ...share, url: shareUrl(req, share.slug) };
+}
 
-app.delete('/api/chat/:chatId', async (req, res) => {
+// Publishes a version of a chat (the latest when versionNumber is omitted)
+app.post('/api/shares', requireAuth, async (req, res) => {
   try {
-    await supabase.from('versions').delete().eq('chat_id', req.params.chatId);
+    const { chatId, versionNumber } = req.body;
 
-    const { error } = await supabase
-      .from('chats')
-      .delete()
-      .eq('id', req.params.chatId);
+    const chat = await findAccessibleChat(chatId, req.user);
+    if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+    let query = supabase
+      .from('versions')
+      .select('version_number')
+      .eq('chat_id', chat.id);
+    query = versionNumber === undefined
+      ? query.order('version_number', { ascending: false }).limit(1)
+      : query.eq('version_number', Number(versionNumber));
+
+    const { data: versions, error: versionError } = await query;
+    if (versionError) throw versionError;
+    if (!versions?.length) return res.status(404).json({ error: 'Version not found' });
+
+    const { data, error } = await supabase
+      .from('shares')
+      .insert({
+        slug: crypto.randomBytes(12).toString('base64url'),
+        chat_id: chat.id,
+        user_id: chat.user_id,
+        version_number: versions[0].version_number,
+      })
+      .select()
+      .single();
 
     if (error) throw error;
-    res.json({ success: true });
+    res.status(201).json(toShareResponse(req, data));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete chat' });
+    console.error('Create share error:', err);
+    res.status(500).json({ error: 'Failed to publish' });
   }
 });
 
-// ==================== VERSION HISTORY ROUTES ====================
-
-app.get('/api/versions/:chatId', async (req, res) => {
+app.get('/api/shares', requireAuth, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('versions')
+    let query = supabase
+      .from('shares')
       .select('*')
-      .eq('chat_id', req.params.chatId)
-      .order('version_number', { ascending: true });
+      .eq('user_id', req.user.id)
+      .is('unpublished_at', null)
+      .order('created_at', { ascending: false });
+    if (req.query.chatId) query = query.eq('chat_id', req.query.chatId);
 
+    const { data, error } = await query;
     if (error) throw error;
-    res.json(data || []);
+    res.json((data || []).map(share => toShareResponse(req, share)));
   } catch (err) {
-    res.status(500).json({ error: 'Failed to fetch versions' });
+    res.status(500).json({ error: 'Failed to fetch shares' });
   }
 });
 
-app.post('/api/versions', async (req, res) => {
+// Unpublishing keeps the row (and its view count) but stops serving it
+app.delete('/api/shares/:slug', requireAuth, async (req, res) => {
   try {
-    const { chatId, userId, versionNumber, code, prompt } = req.body;
-
-    const { data, error } = await supabase
-      .from('versions')
-      .insert({
-        chat_id: chatId,
-        user_id: userId,
-        version_number: versionNumber,
-        code,
-        prompt,
-      })
-      .select()
+    const { data: share } = await supabase
+      .from('shares')
+      .select('*')
+      .eq('slug', req.params.slug)
+      .is('unpublished_at', null)
       .single();
 
+    if (!share || (share.user_id !== req.user.id && !req.user.is_admin)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    const { error } = await supabase
+      .from('shares')
+      .update({ unpublished_at: new Date().toISOString() })
+      .eq('id', share.id);
+
     if (error) throw error;
-    res.json(data);
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save version' });
+    res.status(500).json({ error: 'Failed to unpublish' });
+  }
+});
+
+app.get('/p/:slug', async (req, res) => {
+  try {
+    const { data: share } = await supabase
+      .from('shares')
+      .select('*')
+      .eq('slug', req.params.slug)
+      .is('unpublished_at', null)
+      .single();
+
+    const { data: version } = share
+      ? await supabase
+        .from('versions')
+        .select('code')
+        .eq('chat_id', share.chat_id)
+        .eq('version_number', share.version_number)
+        .single()
+      : { data: null };
+
+    if (!version) return res.status(404).type('text/plain').send('Not found');
+
+    // Counting is best effort; a failed increment still serves the page
+    const { error: countError } = await supabase.rpc('increment_share_views', { p_share_id: share.id });
+    if (countError) console.error('Share view count error:', countError);
+
+    res.set({
+      'Content-Security-Policy': SHARE_CSP,
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'no-referrer',
+      'Cache-Control': 'no-store',
+    });
+    res.type('html').send(version.code);
+  } catch (err) {
+    console.error('Serve share error:', err);
+    res.status(500).type('text/plain').send('Something went wrong');
   }
 });
 
@@ -562,9 +3416,12 @@ app.post('/api/admin/sports', requireAdmin, async (req, res) => {
     const { name, description, icon } = req.body;
     if (!name) return res.status(400).json({ error: 'Sport name is required' });
 
+    const points = parsePointsScheme(req.body);
+    if (points.error) return res.status(400).json({ error: points.error });
+
     const { data, error } = await supabase
       .from('sports')
-      .insert({ name, description: description || '', icon: icon || '' })
+      .insert({ name, description: description || '', icon: icon || '', ...points.values })
       .select()
       .single();
     if (error) throw error;
@@ -577,13 +3434,21 @@ app.post('/api/admin/sports', requireAdmin, async (req, res) => {
 app.put('/api/admin/sports/:id', requireAdmin, async (req, res) => {
   try {
     const { name, description, icon } = req.body;
+    const points = parsePointsScheme(req.body);
+    if (points.error) return res.status(400).json({ error: points.error });
+
     const { data, error } = await supabase
       .from('sports')
-      .update({ name, description, icon })
+      .update({ name, description, icon, ...points.values })
       .eq('id', req.params.id)
       .select()
       .single();
     if (error) throw error;
+
+    if (Object.keys(points.values).length > 0) {
+      const { data: leagues } = await supabase.from('leagues').select('id').eq('sport_id', data.id);
+      await refreshStandings((leagues || []).map(l => l.id));
+    }
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: 'Failed to update sport' });
@@ -618,9 +3483,17 @@ app.post('/api/admin/leagues', requireAdmin, async (req, res) => {
     const { name, sport_id, country, season, logo_url } = req.body;
     if (!name || !sport_id) return res.status(400).json({ error: 'Name and sport_id are required' });
 
+    const points = parsePointsScheme(req.body);
+    if (points.error) return res.status(400).json({ error: points.error });
+    const tieBreakers = parseTieBreakers(req.body.tie_breakers);
+    if (tieBreakers.error) return res.status(400).json({ error: tieBreakers.error });
+
     const { data, error } = await supabase
       .from('leagues')
-      .insert({ name, sport_id, country: country || '', season: season || '', logo_url: logo_url || '' })
+      .insert({
+        name, sport_id, country: country || '', season: season || '', logo_url: logo_url || '',
+        ...points.values, ...tieBreakers.values,
+      })
       .select()
       .single();
     if (error) throw error;
@@ -633,13 +3506,25 @@ app.post('/api/admin/leagues', requireAdmin, async (req, res) => {
 app.put('/api/admin/leagues/:id', requireAdmin, async (req, res) => {
   try {
     const { name, sport_id, country, season, logo_url } = req.body;
+    const points = parsePointsScheme(req.body);
+    if (points.error) return res.status(400).json({ error: points.error });
+    const tieBreakers = parseTieBreakers(req.body.tie_breakers);
+    if (tieBreakers.error) return res.status(400).json({ error: tieBreakers.error });
+
     const { data, error } = await supabase
       .from('leagues')
-      .update({ name, sport_id, country, season, logo_url })
+      .update({ name, sport_id, country, season, logo_url, ...points.values, ...tieBreakers.values })
       .eq('id', req.params.id)
       .select()
       .single();
     if (error) throw error;
+
+    // Moving to another sport can change the inherited points too
+    if (Object.keys(points.values).length > 0 || sport_id !== undefined) {
+      await refreshStandings([data.id]);
+    } else if (req.body.tie_breakers !== undefined) {
+      await notifyStandingsChange(data.id);
+    }
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: 'Failed to update league' });
@@ -795,7 +3680,7 @@ app.get('/api/admin/matches', requireAdmin, async (req, res) => {
 
 app.post('/api/admin/matches', requireAdmin, async (req, res) => {
   try {
-    const { sport_id, league_id, home_team_id, away_team_id, match_date, venue, status } = req.body;
+    const { sport_id, league_id, home_team_id, away_team_id, match_date, venue, status, matchday } = req.body;
     if (!sport_id || !home_team_id || !away_team_id || !match_date) {
       return res.status(400).json({ error: 'sport_id, home_team_id, away_team_id, and match_date are required' });
     }
@@ -807,11 +3692,14 @@ app.post('/api/admin/matches', requireAdmin, async (req, res) => {
         home_team_id, away_team_id,
         match_date, venue: venue || '',
         status: status || 'scheduled',
+        matchday: matchday ?? null,
         home_score: 0, away_score: 0,
       })
       .select()
       .single();
     if (error) throw error;
+    notifyMatchChange('created', data);
+    await refreshStandings([completedLeague(data)]);
     res.status(201).json(data);
   } catch (err) {
     res.status(500).json({ error: 'Failed to create match' });
@@ -820,14 +3708,28 @@ app.post('/api/admin/matches', requireAdmin, async (req, res) => {
 
 app.put('/api/admin/matches/:id', requireAdmin, async (req, res) => {
   try {
-    const { sport_id, league_id, home_team_id, away_team_id, match_date, venue, status, home_score, away_score } = req.body;
+    const { sport_id, league_id, home_team_id, away_team_id, match_date, venue, status, home_score, away_score, matchday } = req.body;
+
+    // The league whose table the match counted towards before this edit
+    const { data: previous } = await supabase
+      .from('matches')
+      .select('league_id, status')
+      .eq('id', req.params.id)
+      .single();
+    const previousLeague = completedLeague(previous);
+
     const { data, error } = await supabase
       .from('matches')
-      .update({ sport_id, league_id, home_team_id, away_team_id, match_date, venue, status, home_score, away_score })
+      .update({
+        sport_id, league_id, home_team_id, away_team_id, match_date, venue, status, home_score, away_score, matchday,
+        updated_at: new Date().toISOString(),
+      })
       .eq('id', req.params.id)
       .select()
       .single();
     if (error) throw error;
+    notifyMatchChange('updated', data);
+    await refreshStandings([previousLeague, completedLeague(data)]);
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: 'Failed to update match' });
@@ -836,22 +3738,380 @@ app.put('/api/admin/matches/:id', requireAdmin, async (req, res) => {
 
 app.delete('/api/admin/matches/:id', requireAdmin, async (req, res) => {
   try {
-    const { error } = await supabase.from('matches').delete().eq('id', req.params.id);
+    const { data, error } = await supabase.from('matches').delete().eq('id', req.params.id).select();
     if (error) throw error;
+    (data || []).forEach(match => notifyMatchChange('deleted', match));
+    await refreshStandings((data || []).map(completedLeague));
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete match' });
   }
 });
 
+// --- Fixtures ---
+const FIXTURE_FORMATS = ['single', 'double'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round-robin rounds by the circle method, as lists of [home, away]. One
+// slot stays put while the rest rotate; with an odd number of teams that
+// slot is the bye. Orientation alternates by round for the fixed slot and
+// by position for the rest, which keeps home and away games within one of
+// each other and runs of two home (or away) games to the minimum. A double
+// round-robin plays the same rounds again with home and away swapped,
+// starting from the second: starting from the first would give some teams
+// a third home (or away) game in a row where the legs meet.
+function roundRobinRounds(teamIds, { double = false } = {}) {
+  const slots = teamIds.length % 2 === 0 ? [...teamIds] : [null, ...teamIds];
+  const n = slots.length;
+  const rounds = [];
+
+  for (let round = 0; round < n - 1; round++) {
+    const pairs = [];
+    for (let i = 0; i < n / 2; i++) {
+      let home = slots[i];
+      let away = slots[n - 1 - i];
+      if (i === 0 ? round % 2 === 1 : i % 2 === 1) [home, away] = [away, home];
+      if (home !== null && away !== null) pairs.push([home, away]);
+    }
+    rounds.push(pairs);
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (double) {
+    const secondLeg = [...rounds.slice(1), rounds[0]];
+    rounds.push(...secondLeg.map(pairs => pairs.map(([home, away]) => [away, home])));
+  }
+  return rounds;
+}
+
+function parseFixtureOptions(body) {
+  const startDate = new Date(body.start_date);
+  if (!body.start_date || isNaN(startDate)) return { error: 'start_date must be a date' };
+
+  const daysBetween = body.days_between ?? 7;
+  if (!Number.isInteger(daysBetween) || daysBetween < 1) {
+    return { error: 'days_between must be a positive integer' };
+  }
+
+  const format = body.format || 'single';
+  if (!FIXTURE_FORMATS.includes(format)) {
+    return { error: 'format must be one of: ' + FIXTURE_FORMATS.join(', ') };
+  }
+
+  return { startDate, daysBetween, format, useVenues: body.use_venues === true, dryRun: body.dry_run === true };
+}
+
+// Teams play in name order; matchdays are `daysBetween` days apart
+function buildFixtures(league, teams, { startDate, daysBetween, format, useVenues }) {
+  const byId = new Map(teams.map(t => [t.id, t]));
+  const rounds = roundRobinRounds(teams.map(t => t.id), { double: format === 'double' });
+
+  return rounds.flatMap((pairs, i) => pairs.map(([home, away]) => ({
+    sport_id: league.sport_id,
+    league_id: league.id,
+    home_team_id: home,
+    away_team_id: away,
+    matchday: i + 1,
+    match_date: new Date(startDate.getTime() + i * daysBetween * DAY_MS).toISOString(),
+    venue: useVenues ? byId.get(home).city || '' : '',
+    status: 'scheduled',
+    home_score: 0,
+    away_score: 0,
+  })));
+}
+
+// Generates a season for the league's teams (teams.league_id). With
+// dry_run the fixtures are returned without being saved.
+app.post('/api/admin/leagues/:id/fixtures', requireAdmin, async (req, res) => {
+  try {
+    const options = parseFixtureOptions(req.body);
+    if (options.error) return res.status(400).json({ error: options.error });
+
+    const { data: league } = await supabase.from('leagues').select('*').eq('id', req.params.id).single();
+    if (!league) return res.status(404).json({ error: 'League not found' });
+
+    const [teams, existing] = await Promise.all([
+      supabase.from('teams').select('id, name, city').eq('league_id', league.id).order('name', { ascending: true }),
+      supabase.from('matches').select('id', { count: 'exact', head: true }).eq('league_id', league.id),
+    ]);
+    for (const result of [teams, existing]) {
+      if (result.error) throw result.error;
+    }
+    if ((teams.data || []).length < 2) {
+      return res.status(400).json({ error: 'A league needs at least two teams' });
+    }
+    if (existing.count > 0) {
+      return res.status(409).json({ error: 'League already has matches' });
+    }
+
+    const fixtures = buildFixtures(league, teams.data, options);
+    const summary = {
+      league_id: league.id,
+      format: options.format,
+      matchdays: Math.max(...fixtures.map(f => f.matchday)),
+      match_count: fixtures.length,
+      dry_run: options.dryRun,
+    };
+
+    if (options.dryRun) return res.json({ ...summary, fixtures });
+
+    const { data, error } = await supabase.from('matches').insert(fixtures).select();
+    if (error) throw error;
+    (data || []).forEach(match => notifyMatchChange('created', match));
+    res.status(201).json({ ...summary, fixtures: data || [] });
+  } catch (err) {
+    console.error('Fixture generation error:', err);
+    res.status(500).json({ error: 'Failed to generate fixtures' });
+  }
+});
+
 // --- Standings (read + recalculate) ---
+const POINTS_FIELDS = ['points_win', 'points_draw', 'points_loss'];
+const DEFAULT_POINTS = { points_win: 3, points_draw: 1, points_loss: 0 };
+
+// The points fields present in a sport or league body; null clears an override
+function parsePointsScheme(body) {
+  const values = {};
+  for (const field of POINTS_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && !Number.isInteger(body[field])) {
+      return { error: `${field} must be an integer` };
+    }
+    values[field] = body[field];
+  }
+  return { values };
+}
+
+// League settings win over the sport's, which win over 3-1-0
+function resolvePoints(league, sport) {
+  return Object.fromEntries(POINTS_FIELDS.map(f => [f, league?.[f] ?? sport?.[f] ?? DEFAULT_POINTS[f]]));
+}
+
+// One row per team from the completed matches. Every team in `teamIds`
+// gets a row, played or not.
+function computeStandings(matches, teamIds, points) {
+  const rows = new Map();
+  const rowFor = (teamId) => {
+    if (!rows.has(teamId)) {
+      rows.set(teamId, { team_id: teamId, played: 0, won: 0, drawn: 0, lost: 0, goals_for: 0, goals_against: 0, points: 0 });
+    }
+    return rows.get(teamId);
+  };
+  const record = (row, scored, conceded) => {
+    row.played++;
+    row.goals_for += scored;
+    row.goals_against += conceded;
+    if (scored > conceded) {
+      row.won++;
+      row.points += points.points_win;
+    } else if (scored < conceded) {
+      row.lost++;
+      row.points += points.points_loss;
+    } else {
+      row.drawn++;
+      row.points += points.points_draw;
+    }
+  };
+
+  teamIds.forEach(rowFor);
+  for (const match of matches) {
+    if (match.status !== 'completed') continue;
+    const home = match.home_score || 0;
+    const away = match.away_score || 0;
+    record(rowFor(match.home_team_id), home, away);
+    record(rowFor(match.away_team_id), away, home);
+  }
+  return [...rows.values()];
+}
+
+// Rebuilds a league's standings from its completed matches, replacing any
+// numbers entered by hand. Returns null for an unknown league.
+async function recalculateStandings(leagueId) {
+  const { data: league } = await supabase.from('leagues').select('*').eq('id', leagueId).single();
+  if (!league) return null;
+
+  const [sport, teams, matches, existing] = await Promise.all([
+    supabase.from('sports').select('*').eq('id', league.sport_id).single(),
+    supabase.from('teams').select('id').eq('league_id', leagueId),
+    supabase.from('matches').select('*').eq('league_id', leagueId).eq('status', 'completed'),
+    supabase.from('standings').select('id, team_id').eq('league_id', leagueId),
+  ]);
+  for (const result of [teams, matches, existing]) {
+    if (result.error) throw result.error;
+  }
+
+  const points = resolvePoints(league, sport.data);
+  const rows = computeStandings(matches.data || [], (teams.data || []).map(t => t.id), points)
+    .map(row => ({ ...row, league_id: leagueId }));
+
+  if (rows.length > 0) {
+    const { error } = await supabase.from('standings').upsert(rows, { onConflict: 'team_id,league_id' });
+    if (error) throw error;
+  }
+
+  // Teams that have left the league and have no results in it
+  const kept = new Set(rows.map(r => r.team_id));
+  const stale = (existing.data || []).filter(s => !kept.has(s.team_id)).map(s => s.id);
+  if (stale.length > 0) {
+    const { error } = await supabase.from('standings').delete().in('id', stale);
+    if (error) throw error;
+  }
+
+  await notifyStandingsChange(leagueId);
+  return { league_id: leagueId, points, standings: await loadLeagueStandings(leagueId) };
+}
+
+// Only completed matches count, so a match affects its league's table
+// while it is (or was, before an edit or delete) completed
+function completedLeague(match) {
+  return match?.status === 'completed' ? match.league_id : null;
+}
+
+// Automatic recalculation after a change that is already saved: failures
+// are logged and a manual recalculation fixes the table
+async function refreshStandings(leagueIds) {
+  for (const leagueId of new Set(leagueIds.filter(Boolean))) {
+    try {
+      await recalculateStandings(leagueId);
+    } catch (err) {
+      console.error('Standings recalculation error:', err);
+    }
+  }
+}
+
+// Criteria for teams level on points, in the default order, as the value
+// each team is ranked by (higher first, except the name). Head-to-head
+// values come from the matches between the teams still tied when that
+// criterion is reached.
+const TIE_BREAKERS = {
+  goal_difference: row => row.goal_difference,
+  goals_for: row => row.goals_for,
+  head_to_head_points: (row, h2h) => h2h.get(row.team_id).points,
+  head_to_head_goal_difference: (row, h2h) => goalDifference(h2h.get(row.team_id)),
+  wins: row => row.won,
+  name: row => row.teams?.name || '',
+};
+const DEFAULT_TIE_BREAKERS = Object.keys(TIE_BREAKERS);
+const FORM_LENGTH = 5;
+
+function goalDifference(row) {
+  return row.goals_for - row.goals_against;
+}
+
+// A list of known tie-breakers without repeats, name (if any) last; null
+// restores the default
+function parseTieBreakers(value) {
+  if (value === undefined) return { values: {} };
+  if (value === null) return { values: { tie_breakers: null } };
+  if (!Array.isArray(value)) return { error: 'tie_breakers must be an array' };
+
+  const unknown = value.find(v => !TIE_BREAKERS[v]);
+  if (unknown !== undefined) return { error: 'Unknown tie-breaker: ' + unknown };
+  if (new Set(value).size !== value.length) return { error: 'tie_breakers must not repeat' };
+  // Names are unique, so nothing after the name could ever be reached
+  if (value.includes('name') && value[value.length - 1] !== 'name') {
+    return { error: 'name must be the last tie-breaker' };
+  }
+  return { values: { tie_breakers: value } };
+}
+
+// Last results of each team as a string such as "WDLWW", oldest first
+function recentForm(matches) {
+  const form = new Map();
+  const push = (teamId, scored, conceded) => {
+    const result = scored > conceded ? 'W' : scored < conceded ? 'L' : 'D';
+    form.set(teamId, ((form.get(teamId) || '') + result).slice(-FORM_LENGTH));
+  };
+
+  const played = matches
+    .filter(m => m.status === 'completed')
+    .sort((a, b) => new Date(a.match_date) - new Date(b.match_date));
+  for (const match of played) {
+    push(match.home_team_id, match.home_score || 0, match.away_score || 0);
+    push(match.away_team_id, match.away_score || 0, match.home_score || 0);
+  }
+  return form;
+}
+
+// Splits rows into groups with the same value, best value first
+function splitByValue(rows, value) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = value(row);
+    groups.set(key, [...(groups.get(key) || []), row]);
+  });
+  return [...groups.keys()].sort((a, b) => b - a).map(key => groups.get(key));
+}
+
+// Orders standings rows by points, then `tieBreakers`, and adds rank,
+// goal_difference and form. Each criterion only orders the teams the
+// previous ones left tied, so head-to-head looks at the matches among
+// those teams. Teams level on every criterion except their name share a
+// rank (1, 2, 2, 4).
+function rankStandings(rows, matches, { tieBreakers, points = DEFAULT_POINTS } = {}) {
+  const criteria = (tieBreakers || DEFAULT_TIE_BREAKERS).filter(c => TIE_BREAKERS[c]);
+  const completed = matches.filter(m => m.status === 'completed');
+
+  const miniTable = group => {
+    const teamIds = group.map(row => row.team_id);
+    const ids = new Set(teamIds);
+    const between = completed.filter(m => ids.has(m.home_team_id) && ids.has(m.away_team_id));
+    return new Map(computeStandings(between, teamIds, points).map(row => [row.team_id, row]));
+  };
+
+  // Groups of teams sharing a rank, in order
+  const breakTies = (group, [criterion, ...rest]) => {
+    if (group.length < 2 || !criterion) return [group];
+    if (criterion === 'name') {
+      return [[...group].sort((a, b) => TIE_BREAKERS.name(a).localeCompare(TIE_BREAKERS.name(b)))];
+    }
+    const h2h = criterion.startsWith('head_to_head_') ? miniTable(group) : null;
+    return splitByValue(group, row => TIE_BREAKERS[criterion](row, h2h))
+      .flatMap(tied => breakTies(tied, rest));
+  };
+
+  const form = recentForm(completed);
+  const withStats = rows.map(row => ({ ...row, goal_difference: goalDifference(row), form: form.get(row.team_id) || '' }));
+
+  const ranked = [];
+  for (const tied of splitByValue(withStats, row => row.points).flatMap(group => breakTies(group, criteria))) {
+    const rank = ranked.length + 1;
+    tied.forEach(row => ranked.push({ ...row, rank }));
+  }
+  return ranked;
+}
+
+// The league's standings, ranked with its tie-breakers and points
+async function loadLeagueStandings(leagueId) {
+  const { data: league } = await supabase.from('leagues').select('*').eq('id', leagueId).single();
+
+  const [sport, rows, matches] = await Promise.all([
+    league
+      ? supabase.from('sports').select('*').eq('id', league.sport_id).single()
+      : { data: null },
+    supabase.from('standings').select('*, teams(name), leagues(name)').eq('league_id', leagueId),
+    supabase.from('matches').select('*').eq('league_id', leagueId).eq('status', 'completed'),
+  ]);
+  if (rows.error) throw rows.error;
+  if (matches.error) throw matches.error;
+
+  return rankStandings(rows.data || [], matches.data || [], {
+    tieBreakers: league?.tie_breakers,
+    points: resolvePoints(league, sport.data),
+  });
+}
+
 app.get('/api/admin/standings', requireAdmin, async (req, res) => {
   try {
-    let query = supabase.from('standings').select('*, teams(name), leagues(name)');
-    if (req.query.league_id) query = query.eq('league_id', req.query.league_id);
-    const { data, error } = await query.order('points', { ascending: false });
-    if (error) throw error;
-    res.json(data || []);
+    let leagueIds = [req.query.league_id];
+    if (!req.query.league_id) {
+      const { data, error } = await supabase.from('standings').select('league_id');
+      if (error) throw error;
+      leagueIds = [...new Set((data || []).map(r => r.league_id))];
+    }
+
+    const standings = await Promise.all(leagueIds.map(loadLeagueStandings));
+    res.json(standings.flat());
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch standings' });
   }
@@ -873,12 +4133,26 @@ app.post('/api/admin/standings', requireAdmin, async (req, res) => {
       .select()
       .single();
     if (error) throw error;
+    await notifyStandingsChange(league_id);
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: 'Failed to update standings' });
   }
 });
 
+app.post('/api/admin/standings/recalculate', requireAdmin, async (req, res) => {
+  try {
+    if (!req.body.league_id) return res.status(400).json({ error: 'league_id is required' });
+
+    const result = await recalculateStandings(req.body.league_id);
+    if (!result) return res.status(404).json({ error: 'League not found' });
+    res.json(result);
+  } catch (err) {
+    console.error('Standings recalculation error:', err);
+    res.status(500).json({ error: 'Failed to recalculate standings' });
+  }
+});
+
 // --- Dashboard Stats ---
 app.get('/api/admin/sports-stats', requireAdmin, async (req, res) => {
   try {
@@ -904,44 +4178,450 @@ app.get('/api/admin/sports-stats', requireAdmin, async (req, res) => {
 
 // ==================== HEALTH CHECK ====================
 
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  const { pricing } = await loadModelCatalog();
   res.json({
     status: 'ok',
     service: 'sparkk-backend',
     timestamp: new Date().toISOString(),
-    models: Object.keys(MODEL_PRICING).map(k => ({
+    models: Object.keys(pricing).map(k => ({
       id: k,
-      label: MODEL_PRICING[k].label,
+      label: pricing[k].label,
     })),
   });
 });
 
 // ==================== WEBSOCKET ====================
 
+// Clients connect to /ws?token=<access token>, or send
+// { type: 'auth', token } first, then { type: 'subscribe', chatId }.
+// Scores are public: { type: 'subscribe', matchId | leagueId | sportId }
+// works without a token, so scoreboards built on Sparkk can follow them.
+// Server messages:
+//   ready, subscribed, unsubscribed, pong, error
+//   credits                 balance changed (charges, top-ups, refunds...)
+//   chat.created            to all of the owner's sockets
+//   chat.updated, chat.deleted, version.created
+//                           to the chat's subscribers
+//   generation.started / .progress / .completed / .failed
+//                           to the chat's subscribers, or to the user's
+//                           sockets for generations outside a chat
+//   match.state, league.state, sport.state
+//                           current state, sent right after subscribing
+//   match.created / .updated / .deleted
+//                           to subscribers of the match, its league or sport
+//   standings.updated       to the league's subscribers
+const WS_AUTH_TIMEOUT_MS = 10 * 1000;
+const WS_HEARTBEAT_MS = parseInt(process.env.WS_HEARTBEAT_MS, 10) || 30 * 1000;
+const WS_PROGRESS_INTERVAL_MS = 500;
+const WS_MAX_SPORTS_TOPICS = 50; // per socket; these need no token
+const WS_TOPIC_ID_RE = /^[\w-]{1,64}$/;
+
+const userSockets = new Map(); // userId -> Set of sockets
+const chatSockets = new Map(); // chatId -> Set of sockets
+const sportsSockets = new Map(); // 'match:<id>' | 'league:<id>' | 'sport:<id>' -> Set of sockets
+
+function addSocket(index, key, ws) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(ws);
+}
+
+function removeSocket(index, key, ws) {
+  const sockets = index.get(key);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) index.delete(key);
+}
+
+function sendJson(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+function notifyUser(userId, message) {
+  for (const ws of userSockets.get(userId) || []) sendJson(ws, message);
+}
+
+function notifyChat(chatId, message) {
+  for (const ws of chatSockets.get(chatId) || []) sendJson(ws, message);
+}
+
+// Called with the credit_transactions row every balance change produces
+function notifyCreditChange(transaction) {
+  if (!transaction?.user_id) return;
+  notifyUser(transaction.user_id, {
+    type: 'credits',
+    balance: parseFloat(transaction.balance_after),
+    transaction: {
+      id: transaction.id,
+      type: transaction.type,
+      amount: parseFloat(transaction.amount),
+      created_at: transaction.created_at,
+    },
+  });
+}
+
+function notifyGeneration(gen, event, data = {}) {
+  const message = { type: `generation.${event}`, chat_id: gen.chat?.id || null, ...data };
+  if (gen.chat) notifyChat(gen.chat.id, message);
+  else notifyUser(gen.user.id, message);
+}
+
+// Each socket gets a message once, even when several of its
+// subscriptions cover it (say a match and that match's league)
+function notifySports(topics, message) {
+  const sockets = new Set();
+  for (const topic of topics) {
+    for (const ws of sportsSockets.get(topic) || []) sockets.add(ws);
+  }
+  for (const ws of sockets) sendJson(ws, message);
+}
+
+function matchTopics(match) {
+  return [
+    `match:${match.id}`,
+    match.league_id && `league:${match.league_id}`,
+    match.sport_id && `sport:${match.sport_id}`,
+  ].filter(Boolean);
+}
+
+// `event` is created, updated or deleted
+function notifyMatchChange(event, match) {
+  notifySports(matchTopics(match), {
+    type: `match.${event}`,
+    match_id: match.id,
+    league_id: match.league_id || null,
+    sport_id: match.sport_id,
+    home_score: match.home_score,
+    away_score: match.away_score,
+    status: match.status,
+    timestamp: match.updated_at || new Date().toISOString(),
+    match: event === 'deleted' ? null : match,
+  });
+}
+
+// The change itself is already saved, so a failed broadcast is only logged
+async function notifyStandingsChange(leagueId) {
+  if (!sportsSockets.has(`league:${leagueId}`)) return;
+
+  try {
+    const standings = await loadLeagueStandings(leagueId);
+    notifySports([`league:${leagueId}`], {
+      type: 'standings.updated',
+      league_id: leagueId,
+      standings,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('Standings broadcast error:', err);
+  }
+}
+
+const SPORTS_SCOPES = {
+  match: {
+    param: 'matchId',
+    label: 'Match',
+    async state(id) {
+      const { data: match } = await supabase.from('matches').select('*').eq('id', id).single();
+      return match && { match };
+    },
+  },
+  league: {
+    param: 'leagueId',
+    label: 'League',
+    async state(id) {
+      const { data: league } = await supabase.from('leagues').select('*').eq('id', id).single();
+      if (!league) return null;
+
+      const [{ data: matches, error }, standings] = await Promise.all([
+        supabase.from('matches').select('*').eq('league_id', id).order('match_date', { ascending: true }),
+        loadLeagueStandings(id),
+      ]);
+      if (error) throw error;
+      return { league, matches: matches || [], standings };
+    },
+  },
+  sport: {
+    param: 'sportId',
+    label: 'Sport',
+    async state(id) {
+      const { data: sport } = await supabase.from('sports').select('*').eq('id', id).single();
+      if (!sport) return null;
+
+      // Matches being played right now are what a sport-wide scoreboard shows
+      const { data: matches, error } = await supabase
+        .from('matches')
+        .select('*')
+        .eq('sport_id', id)
+        .eq('status', 'live')
+        .order('match_date', { ascending: true });
+      if (error) throw error;
+      return { sport, matches: matches || [] };
+    },
+  },
+};
+
+function sportsScopeOf(msg) {
+  const kind = Object.keys(SPORTS_SCOPES).find(k => msg[SPORTS_SCOPES[k].param]);
+  return kind && { kind, id: msg[SPORTS_SCOPES[kind].param] };
+}
+
+// Registers before reading the state, so no change can fall between the two
+async function subscribeSports(ws, { kind, id }) {
+  if (typeof id !== 'string' || !WS_TOPIC_ID_RE.test(id)) {
+    return sendJson(ws, { type: 'error', error: `Invalid ${kind} id` });
+  }
+
+  const topic = `${kind}:${id}`;
+  if (!ws.sportsTopics.has(topic) && ws.sportsTopics.size >= WS_MAX_SPORTS_TOPICS) {
+    return sendJson(ws, { type: 'error', error: `At most ${WS_MAX_SPORTS_TOPICS} match, league or sport subscriptions per connection` });
+  }
+
+  addSocket(sportsSockets, topic, ws);
+  ws.sportsTopics.add(topic);
+
+  const state = await SPORTS_SCOPES[kind].state(id);
+  if (!state) {
+    unsubscribeSports(ws, { kind, id });
+    return sendJson(ws, { type: 'error', error: `${SPORTS_SCOPES[kind].label} not found`, [`${kind}_id`]: id });
+  }
+
+  sendJson(ws, { type: 'subscribed', [`${kind}_id`]: id });
+  sendJson(ws, { type: `${kind}.state`, [`${kind}_id`]: id, ...state, timestamp: new Date().toISOString() });
+}
+
+function unsubscribeSports(ws, { kind, id }) {
+  removeSocket(sportsSockets, `${kind}:${id}`, ws);
+  ws.sportsTopics.delete(`${kind}:${id}`);
+}
+
+// A deleted chat has nothing left to subscribe to
+function closeChatChannel(chatId) {
+  for (const ws of chatSockets.get(chatId) || []) ws.chats.delete(chatId);
+  chatSockets.delete(chatId);
+}
+
+function detachSocket(ws) {
+  if (ws.user) removeSocket(userSockets, ws.user.id, ws);
+  for (const chatId of ws.chats) removeSocket(chatSockets, chatId, ws);
+  ws.chats.clear();
+  for (const topic of ws.sportsTopics) removeSocket(sportsSockets, topic, ws);
+  ws.sportsTopics.clear();
+}
+
+async function handleSocketMessage(ws, msg, authenticateSocket) {
+  // Also how a long-lived socket swaps in a refreshed access token
+  if (msg.type === 'auth') return authenticateSocket(msg.token);
+
+  if (msg.type === 'ping') return sendJson(ws, { type: 'pong' });
+
+  const scope = sportsScopeOf(msg);
+  if (scope && msg.type === 'subscribe') return subscribeSports(ws, scope);
+  if (scope && msg.type === 'unsubscribe') {
+    unsubscribeSports(ws, scope);
+    return sendJson(ws, { type: 'unsubscribed', [`${scope.kind}_id`]: scope.id });
+  }
+
+  if (!ws.user) return sendJson(ws, { type: 'error', error: 'Authentication required' });
+
+  switch (msg.type) {
+    case 'subscribe': {
+      const chat = msg.chatId && await findAccessibleChat(msg.chatId, ws.user);
+      if (!chat) return sendJson(ws, { type: 'error', error: 'Chat not found', chat_id: msg.chatId || null });
+
+      addSocket(chatSockets, chat.id, ws);
+      ws.chats.add(chat.id);
+      return sendJson(ws, { type: 'subscribed', chat_id: chat.id });
+    }
+    case 'unsubscribe':
+      removeSocket(chatSockets, msg.chatId, ws);
+      ws.chats.delete(msg.chatId);
+      return sendJson(ws, { type: 'unsubscribed', chat_id: msg.chatId });
+    default:
+      return sendJson(ws, { type: 'error', error: 'Unknown message type: ' + msg.type });
+  }
+}
+
 const wss = new WebSocketServer({ server, path: '/ws' });
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
-  ws.on('message', (data) => {
-    try {
-      const msg = JSON.parse(data);
-      ws.send(JSON.stringify({ type: 'ack', received: msg.type }));
-    } catch (e) {
-      ws.send(JSON.stringify({ type: 'error', error: e.message }));
+
+wss.on('connection', (ws, req) => {
+  ws.isAlive = true;
+  ws.user = null;
+  ws.chats = new Set();
+  ws.sportsTopics = new Set();
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  // Scoreboard-only sockets don't need a token, idle anonymous ones go
+  const authTimer = setTimeout(() => {
+    if (!ws.user && ws.sportsTopics.size === 0) ws.close(4001, 'Authentication required');
+  }, WS_AUTH_TIMEOUT_MS);
+
+  const authenticateSocket = async (token) => {
+    const auth = typeof token === 'string' && await userFromAccessToken(token);
+    if (!auth) {
+      sendJson(ws, { type: 'error', error: 'Invalid token' });
+      ws.close(4001, 'Invalid token');
+      return;
+    }
+
+    if (ws.user && ws.user.id !== auth.user.id) {
+      return sendJson(ws, { type: 'error', error: 'Token belongs to another user' });
     }
+
+    clearTimeout(authTimer);
+    ws.user = auth.user;
+    ws.sessionId = auth.sessionId;
+    ws.tokenExpiresAt = auth.expiresAt;
+    addSocket(userSockets, ws.user.id, ws);
+    sendJson(ws, { type: 'ready', user_id: ws.user.id, credits: parseFloat(ws.user.credits) || 0 });
+  };
+
+  // Messages that arrive while the query-string token is being checked
+  // wait for it, so a client can subscribe straight after connecting
+  const failed = (err) => {
+    console.error('WebSocket error:', err);
+    sendJson(ws, { type: 'error', error: 'Request failed' });
+  };
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+  let ready = token ? authenticateSocket(token).catch(failed) : Promise.resolve();
+
+  ws.on('message', (data) => {
+    ready = ready.then(async () => {
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (e) {
+        return sendJson(ws, { type: 'error', error: 'Invalid JSON' });
+      }
+      await handleSocketMessage(ws, msg, authenticateSocket);
+    }).catch(failed);
+  });
+
+  ws.on('close', () => {
+    clearTimeout(authTimer);
+    detachSocket(ws);
   });
-  ws.on('close', () => console.log('WebSocket client disconnected'));
 });
 
+// Drops sockets that never answered the previous ping, then pings the rest
+function sweepConnections(clients) {
+  for (const ws of clients) {
+    if (!ws.isAlive) {
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}
+
+// Stops pushing to a socket once it is signed out
+function endSocketSession(ws, reason) {
+  detachSocket(ws);
+  ws.user = null;
+  ws.close(4001, reason);
+}
+
+// Called when sessions are revoked: one session, or every session of the user
+function closeSessionSockets(userId, sessionId = null) {
+  for (const ws of [...(userSockets.get(userId) || [])]) {
+    if (!sessionId || ws.sessionId === sessionId) endSocketSession(ws, 'Session ended');
+  }
+}
+
+// Catches what closeSessionSockets can't see (revocations made elsewhere,
+// expired access tokens). Clients keep a socket open past the token's
+// lifetime by sending { type: 'auth', token } with a refreshed one.
+async function recheckSessions(clients) {
+  const sockets = [...clients].filter(ws => ws.user);
+  const live = [];
+  for (const ws of sockets) {
+    if (ws.tokenExpiresAt <= Date.now()) endSocketSession(ws, 'Token expired');
+    else live.push(ws);
+  }
+  if (live.length === 0) return;
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, revoked_at')
+    .in('id', [...new Set(live.map(ws => ws.sessionId))]);
+  if (error) throw error;
+
+  const active = new Set((data || []).filter(s => !s.revoked_at).map(s => s.id));
+  for (const ws of live) {
+    if (ws.user && !active.has(ws.sessionId)) endSocketSession(ws, 'Session ended');
+  }
+}
+
+const heartbeat = setInterval(() => {
+  sweepConnections(wss.clients);
+  recheckSessions(wss.clients).catch(err => console.error('WebSocket session check error:', err));
+}, WS_HEARTBEAT_MS);
+heartbeat.unref();
+wss.on('close', () => clearInterval(heartbeat));
+
 // ==================== START SERVER ====================
 
 const PORT = process.env.PORT || 3000;
 
 if (require.main === module) {
-  server.listen(PORT, '0.0.0.0', () => {
+  server.listen(PORT, '0.0.0.0', async () => {
+    const { pricing } = await loadModelCatalog();
     console.log(`Sparkk backend running on port ${PORT}`);
     console.log(`   Health: http://89.167.0.115:${PORT}/api/health`);
-    console.log(`   Models: ${Object.values(MODEL_PRICING).map(m => m.label).join(', ')}`);
+    console.log(`   Models: ${Object.values(pricing).map(m => m.label).join(', ')}`);
+    if (!process.env.SESSION_SECRET) {
+      console.warn('   SESSION_SECRET not set — sessions will not survive a restart');
+    }
+    if (!process.env.MAIL_TRANSPORT) {
+      console.warn('   MAIL_TRANSPORT not set — emails, with their reset and verification links, go to the log');
+    }
   });
 }
 
-module.exports = { app, server, sanitizeMessages, calculateCost, hashPassword };
+module.exports = {
+  app,
+  server,
+  sanitizeMessages,
+  calculateCost,
+  hashPassword,
+  verifyPassword,
+  estimateTokens,
+  signToken,
+  verifyToken,
+  estimateMaxCost,
+  withPromptCaching,
+  loadModelCatalog,
+  createMailTransport,
+  setMailTransport,
+  RATE_LIMITS,
+  parseRateLimit,
+  createMemoryRateLimitStore,
+  setRateLimitStore,
+  parseDateRange,
+  periodKey,
+  aggregateUsage,
+  toCsv,
+  periodBounds,
+  budgetWarnings,
+  parseChatMessages,
+  extractHtml,
+  validateHtml,
+  diffLines,
+  unifiedDiff,
+  parseEdits,
+  applyEdits,
+  renderPrompt,
+  parsePresetValues,
+  validateImages,
+  createZip,
+  readZip,
+  parseChatArchive,
+  sweepConnections,
+  recheckSessions,
+  parsePointsScheme,
+  resolvePoints,
+  computeStandings,
+  parseTieBreakers,
+  rankStandings,
+  roundRobinRounds,
+};